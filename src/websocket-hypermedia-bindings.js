@@ -0,0 +1,28 @@
+/**
+ * WebSocket Hypermedia Bindings Add-on
+ * Opt-in declarative data-ws-click / data-ws-submit / data-ws-change / data-ws-input
+ * attributes (enableBindings) that send frames through delegated document listeners.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    Object.assign(P, {
+        _bind(ev) {
+            const el = ev.target.closest?.(`[data-ws-${ev.type}]`);
+            if (!el) return;
+            if (ev.type === 'submit' || el.matches('a,button')) ev.preventDefault();
+
+            const frame = el.getAttribute(`data-ws-${ev.type}`);
+            const [verb, noun = '', ...rest] = this._parseMessage(frame);
+            if (rest.length) this.send(frame);
+            else if (el.elements && this.sendForm) this.sendForm(el, verb, noun, el.dataset.wsEncoding);
+            else this.sendEscaped(verb, noun, el.value ?? ev.target.value ?? '');
+        }
+    });
+
+    addons.push(ws => {
+        if (ws.o.enableBindings) ['click', 'submit', 'change', 'input'].forEach(t => ws._listen(document, t, ev => ws._bind(ev)));
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,30 @@
+/**
+ * WebSocket Hypermedia Forms Add-on
+ * serializeForm() / sendForm() with URL-encoded or JSON encoding (formEncoding),
+ * used by the bindings add-on to submit data-ws-submit forms.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P }) => {
+    Object.assign(P, {
+        serializeForm(f, enc = this.o.formEncoding) {
+            const pairs = [];
+            for (const c of f.elements) {
+                if (!c.name || c.disabled || /^(submit|button|reset|image)$/.test(c.type) || (/^(checkbox|radio)$/.test(c.type) && !c.checked)) continue;
+                const m = c.type === 'select-multiple';
+                const vals = m ? [...c.selectedOptions].map(o => o.value) : c.type === 'file' ? [...c.files].map(x => x.name) : [c.value];
+                vals.forEach(v => pairs.push([c.name, v, m]));
+            }
+            if (enc !== 'json') return new URLSearchParams(pairs.map(([k, v]) => [k, v])).toString();
+            const d = Object.create(null);
+            for (const [k, v, m] of pairs) d[k] = k in d || m ? [].concat(d[k] ?? [], v) : v;
+            return JSON.stringify(d);
+        },
+
+        sendForm(f, verb, noun, enc) {
+            this.sendEscaped(verb, noun || f.id, this.serializeForm(f, enc));
+        }
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,62 @@
+/**
+ * WebSocket Hypermedia Heartbeat Add-on
+ * Application-level ping/pong frames (heartbeatInterval) that close a half-open
+ * connection after heartbeatTimeout, and measure latency from pong replies.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _setupHandlers } = P;
+
+    Object.assign(P, {
+        _setupHandlers() {
+            _setupHandlers.call(this);
+            const { onopen, onclose, onmessage } = this.ws;
+            Object.assign(this.ws, {
+                onopen: () => {
+                    this._beat();
+                    onopen();
+                },
+                onclose: (ev) => {
+                    this._beat(1);
+                    onclose(ev);
+                },
+                onmessage: (ev) => {
+                    this._hbT = clearTimeout(this._hbT);
+                    return onmessage(ev);
+                }
+            });
+        },
+
+        _beat(stop) {
+            clearInterval(this._hbI);
+            this._hbT = clearTimeout(this._hbT);
+            if (!stop && this.o.heartbeatInterval) this._hbI = setInterval(() => this._ping(), this.o.heartbeatInterval);
+        },
+
+        _ping() {
+            if (this._hbT || this.ws?.readyState !== WebSocket.OPEN) return;
+            this.ws.send(this.createMessage(this.o.pingVerb, '', Date.now()));
+            this._hbT = setTimeout(() => this._dead(), this.o.heartbeatTimeout);
+        },
+
+        _dead() {
+            const ws = this.ws, f = ws.onclose;
+            this.ws = ws.onclose = ws.onmessage = null;
+            ws.close(4000, 'Heartbeat timeout');
+            f({ code: 4000, reason: 'Heartbeat timeout' });
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { heartbeatTimeout: 5000, pingVerb: 'ping', pongVerb: 'pong', ...ws.o };
+        ws.latency = null;
+        ws.globalVerbs[ws.o.pongVerb] = s => {
+            if (!+s) return;
+            ws.latency = Date.now() - s;
+            ws._emit('latency', ws.latency);
+        };
+    });
+})(WebSocketHypermedia);
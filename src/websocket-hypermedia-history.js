@@ -0,0 +1,19 @@
+/**
+ * WebSocket Hypermedia History Add-on
+ * pushUrl / replaceUrl / setTitle global verbs, and an opt-in navigateVerb frame
+ * sent with the new URL on popstate (back/forward).
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ addons }) => {
+    addons.push(ws => {
+        Object.assign(ws.globalVerbs, {
+            pushUrl: s => history.pushState(null, '', s),
+            replaceUrl: s => history.replaceState(null, '', s),
+            setTitle: s => document.title = s
+        });
+        if (ws.o.navigateVerb) ws._listen(window, 'popstate', () => ws.sendEscaped(ws.o.navigateVerb, '', location.pathname + location.search + location.hash));
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,47 @@
+/**
+ * WebSocket Hypermedia Morph Add-on
+ * morph verb, and a morph option that makes update morph, patching the live DOM
+ * keyed by id so focus, typed input, scroll and open <details> survive re-renders.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    Object.assign(P, {
+        _morph(el, html) {
+            this._kids(el, this._tpl(this._html(html)).content);
+        },
+
+        _kids(a, b) {
+            const ns = [...b.childNodes];
+            const ids = new Map([...a.childNodes].filter(c => c.id).map(c => [c.id, c]));
+            ns.forEach((n, j) => {
+                let m = n.id ? ids.get(n.id) : null;
+                for (let c = a.childNodes[j]; !n.id && !m && c; c = c.nextSibling) if (!c.id && c.nodeName === n.nodeName) m = c;
+                if (m?.nodeName === n.nodeName) this._patch(m, n);
+                else m = n;
+                if (a.childNodes[j] !== m) a.insertBefore(m, a.childNodes[j] || null);
+            });
+            while (a.childNodes.length > ns.length) a.lastChild.remove();
+        },
+
+        _patch(a, b) {
+            if (a.nodeType !== 1) {
+                if (a.nodeValue !== b.nodeValue) a.nodeValue = b.nodeValue;
+                return;
+            }
+            for (const n of b.getAttributeNames()) if (a.getAttribute(n) !== b.getAttribute(n)) a.setAttribute(n, b.getAttribute(n));
+            for (const n of a.getAttributeNames()) if (!b.hasAttribute(n) && !(n === 'open' && a.nodeName === 'DETAILS')) a.removeAttribute(n);
+            this._kids(a, b);
+        }
+    });
+
+    addons.push(ws => {
+        const { update } = ws.actions;
+        Object.assign(ws.actions, {
+            update: (e, s) => ws.o.morph ? ws._morph(e, s) : update(e, s),
+            morph: (e, s) => ws._morph(e, s)
+        });
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,39 @@
+/**
+ * WebSocket Hypermedia Plugins Add-on
+ * WebSocketHypermedia.use(plugin) registers plugins that bundle namespaced verbs, argument
+ * adapters, middleware, default options and lifecycle hooks for every new client.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(WH => {
+    const { prototype: P, addons } = WH;
+    const { destroy } = P;
+
+    WH.use = function (p) {
+        if (!this.plugins) this.plugins = [];
+        const ps = this.plugins;
+        if (!/^[\w-]+$/.test(p?.name || '') || ps.some(x => x.name === p.name)) throw new Error('Invalid or duplicate plugin name: ' + p?.name);
+        ps.push(p);
+        return this;
+    };
+
+    Object.assign(P, {
+        destroy() {
+            this._emit('destroy');
+            destroy.call(this);
+        }
+    });
+
+    addons.push(ws => {
+        const ps = ws.constructor.plugins || [];
+        ws.o = { ...Object.assign({}, ...ps.map(p => p.options)), ...ws.o };
+        for (const p of ps) {
+            for (const k of ['actions', 'specialVerbs', 'globalVerbs']) for (const v in p[k]) ws[k][p.name + '.' + v] = p[k][v];
+            for (const st in p.middleware) [].concat(p.middleware[st]).forEach(f => ws.addMiddleware(st, f));
+            ['connect', 'disconnect', 'destroy'].forEach(e => p[e] && ws.on(e, d => p[e](ws, d)));
+            p.init?.(ws);
+        }
+    });
+})(WebSocketHypermedia);
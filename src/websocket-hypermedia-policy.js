@@ -0,0 +1,29 @@
+/**
+ * WebSocket Hypermedia Verb Policy Add-on
+ * Decides which inbound frames may run: allowVerbs / denyVerbs lists and per-verb
+ * verbRules, with refused frames reported to onSecurityViolation.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    Object.assign(P, {
+        _allowed(verb, noun, subject, options) {
+            const { allowVerbs: a, denyVerbs: d, verbRules: r } = this.o;
+            const rule = this._own(r, verb);
+            const m = (l, v) => l?.some(p => p.test ? p.test(v) : p.toLowerCase() === v.toLowerCase());
+            const reason = (a && !a.includes(verb)) || d.includes(verb) ? 'verb' :
+                (typeof rule === 'function' ? !rule(noun, subject, options) :
+                    rule && ((rule.allow && !m(rule.allow, subject)) || m(rule.deny, subject) || (rule.nouns && !m(rule.nouns, noun)))) && 'rule';
+            if (!reason) return 1;
+            this._logSec('POLICY_VIOLATION', { verb, noun, reason });
+            this._emit('securityViolation', { verb, noun, subject, options, reason });
+            return 0;
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { denyVerbs: [], verbRules: {}, ...ws.o };
+    });
+})(WebSocketHypermedia);
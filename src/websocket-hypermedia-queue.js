@@ -0,0 +1,53 @@
+/**
+ * WebSocket Hypermedia Offline Queue Add-on
+ * Buffers outbound frames while disconnected (queueOffline) and replays them in order
+ * when the connection opens, with size/TTL limits and optional sessionStorage persistence.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _tx, _setupHandlers } = P;
+
+    Object.assign(P, {
+        _tx(action) {
+            if (!this.o.queueOffline || this.ws?.readyState === WebSocket.OPEN) return _tx.call(this, action);
+            this.queue.push({ m: action, t: Date.now() });
+            this._expire(this.queue.splice(0, this.queue.length - this.o.maxQueueSize));
+            this._saveQueue();
+        },
+
+        _setupHandlers() {
+            _setupHandlers.call(this);
+            const open = this.ws.onopen;
+            this.ws.onopen = () => {
+                this._flush();
+                open();
+            };
+        },
+
+        _flush() {
+            const now = Date.now();
+            const q = this.queue;
+            this.queue = [];
+            this._expire(q.filter(f => now - f.t > this.o.queueTTL));
+            q.forEach(f => now - f.t <= this.o.queueTTL && this._tx(f.m));
+            this._saveQueue();
+        },
+
+        _expire(frames) {
+            if (frames.length) this.o.onQueueExpired?.(frames.map(f => f.m));
+        },
+
+        _saveQueue() {
+            if (this.o.persistQueue) sessionStorage.setItem(this._qk, JSON.stringify(this.queue));
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { maxQueueSize: 100, queueTTL: 30000, ...ws.o };
+        ws._qk = 'wshm-queue:' + ws.url;
+        ws.queue = ws.o.persistQueue ? JSON.parse(sessionStorage.getItem(ws._qk) || '[]') : [];
+    });
+})(WebSocketHypermedia);
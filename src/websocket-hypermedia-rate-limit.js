@@ -0,0 +1,78 @@
+/**
+ * WebSocket Hypermedia Rate Limit Add-on
+ * Token-bucket limits on inbound frames (rateLimit, verbRateLimits) that drop or
+ * coalesce excess frames, optionally closing the socket after maxRateViolations.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _admit, _batch } = P;
+
+    Object.assign(P, {
+        _admit(f, data, retry) {
+            const vr = this._own(this.o.verbRateLimits, f.verb);
+            if ((this.o.rateLimit || vr) && !this._rate(f.verb, f.noun, data, retry, vr)) return 0;
+            return _admit.call(this, f, data, retry);
+        },
+
+        _bucket(k, r) {
+            const now = Date.now();
+            const b = this._bk.get(k) || this._bk.set(k, { n: r, t: now, r }).get(k);
+            b.n = Math.min(r, b.n + (now - b.t) * r / 1000);
+            b.t = now;
+            return b;
+        },
+
+        _rate(verb, noun, data, retry, vr) {
+            const k = verb + '|' + noun;
+            const bs = [[' ', this.o.rateLimit], [verb, vr]].filter(x => x[1]).map(([b, r]) => this._bucket(b, r));
+            if (bs.every(b => b.n >= 1)) {
+                bs.forEach(b => b.n--);
+                this._co.delete(k);
+                if (!retry) this._rv = 0;
+                return 1;
+            }
+            this._logSec('RATE_LIMITED', { verb, noun });
+            if (this.o.rateLimitMode === 'coalesce') {
+                this._co.set(k, data);
+                if (!this._coT) this._coT = setTimeout(() => this._drain(), Math.max(...bs.map(b => (1 - b.n) * 1000 / b.r)));
+            }
+            if (!retry && this.o.maxRateViolations && ++this._rv >= this.o.maxRateViolations) this.ws?.close(1008, 'Rate limit exceeded');
+            return 0;
+        },
+
+        _batch(msgs) {
+            const need = new Map();
+            for (const m of msgs) {
+                const v = this._parseMessage(m)[0];
+                for (const [k, r] of [[' ', this.o.rateLimit], [v, this._own(this.o.verbRateLimits, v)]]) if (r) {
+                    const b = this._bucket(k, r);
+                    need.set(b, (need.get(b) || 0) + 1);
+                }
+            }
+            if ([...need].some(([b, n]) => b.n < n)) {
+                this._logSec('RATE_LIMITED', { verb: 'batch', noun: '', size: msgs.length });
+                if (this.o.maxRateViolations && ++this._rv >= this.o.maxRateViolations) this.ws?.close(1008, 'Rate limit exceeded');
+                return;
+            }
+            need.forEach((n, b) => { b.n -= n; });
+            return _batch.call(this, msgs);
+        },
+
+        _drain() {
+            this._coT = null;
+            const q = [...this._co.values()];
+            this._co.clear();
+            q.forEach(d => this._handleMessage(d, 1));
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { verbRateLimits: {}, ...ws.o };
+        ws._bk = new Map();
+        ws._co = new Map();
+        ws._rv = 0;
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,34 @@
+/**
+ * WebSocket Hypermedia Reconnect Add-on
+ * Jittered ('full' / 'decorrelated') or custom reconnect delays (reconnectJitter,
+ * reconnectPolicy), and immediate reconnects when the browser is back online or visible.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _delay } = P;
+
+    Object.assign(P, {
+        _delay(n) {
+            const { reconnectDelay: b, maxReconnectDelay: m, reconnectJitter: j, reconnectPolicy: p } = this.o;
+            let d = _delay.call(this, n);
+            if (j === 'full') d = Math.random() * d;
+            if (j === 'decorrelated') d = Math.min(m, b + Math.random() * ((this._rd || b) * 3 - b));
+            if (p && n <= this.o.maxReconnectAttempts) d = p(n, this._rd || 0);
+            return d;
+        },
+
+        _resume() {
+            if (!this.o.autoReconnect || this.state === 'closed' || document.visibilityState === 'hidden' || this.isConnecting || this.readyState !== WebSocket.CLOSED) return;
+            clearTimeout(this._rt);
+            this._connect();
+        }
+    });
+
+    addons.push(ws => {
+        ws._listen(window, 'online', () => ws._resume());
+        ws._listen(document, 'visibilitychange', () => ws._resume());
+    });
+})(WebSocketHypermedia);
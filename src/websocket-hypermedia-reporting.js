@@ -0,0 +1,40 @@
+/**
+ * WebSocket Hypermedia Security Reporting Add-on
+ * Collects security events and reports them to the server in batches
+ * (securityReportVerb, securityReportInterval), flushing on destroy().
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _logSec, destroy } = P;
+
+    Object.assign(P, {
+        _logSec(...args) {
+            const ev = _logSec.apply(this, args);
+            if (this.o.securityReportVerb) {
+                this._sec.push(ev);
+                this._sec.splice(0, this._sec.length - 50);
+                if (!this._secT) this._secT = setTimeout(() => this.flushSecurityEvents(), this.o.securityReportInterval);
+            }
+            return ev;
+        },
+
+        flushSecurityEvents() {
+            clearTimeout(this._secT);
+            this._secT = null;
+            if (this._sec.length) this.sendEscaped(this.o.securityReportVerb, '', JSON.stringify(this._sec.splice(0)));
+        },
+
+        destroy() {
+            this.flushSecurityEvents();
+            destroy.call(this);
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { securityReportInterval: 5000, ...ws.o };
+        ws._sec = [];
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,66 @@
+/**
+ * WebSocket Hypermedia Request Add-on
+ * Promise-returning sendRequest() that tags frames with a rid option and settles
+ * when a frame carrying the same rid comes back, on timeout or on disconnect.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _setupHandlers, _processAction } = P;
+
+    Object.assign(P, {
+        sendRequest(verb, noun, subject, ...options) {
+            return new Promise((resolve, reject) => {
+                const { timeout = this.o.requestTimeout } = this._plain(options[options.length - 1]) ? options.pop() : {};
+                if (!this.o.queueOffline && this.readyState !== WebSocket.OPEN) throw new Error('Not connected');
+
+                const rid = `${this._rid}-${++this._rn}`;
+                this.pending.set(rid, { resolve, reject, t: setTimeout(() => this._settle(rid, new Error('Request timeout')), timeout) });
+                try {
+                    this.sendEscaped(verb, noun, subject, ...options, 'rid=' + rid);
+                } catch (err) {
+                    this._settle(rid, err);
+                }
+            });
+        },
+
+        _plain(x) {
+            if (!x || typeof x !== 'object') return 0;
+            const p = Object.getPrototypeOf(x);
+            return !p || !Object.getPrototypeOf(p);
+        },
+
+        _settle(rid, err, res) {
+            const p = this.pending.get(rid);
+            if (!p) return;
+            this.pending.delete(rid);
+            clearTimeout(p.t);
+            if (err) p.reject(err);
+            else p.resolve(res);
+        },
+
+        _setupHandlers() {
+            _setupHandlers.call(this);
+            const close = this.ws.onclose;
+            this.ws.onclose = (ev) => {
+                this.pending.forEach((p, rid) => this._settle(rid, new Error('Disconnected')));
+                close(ev);
+            };
+        },
+
+        async _processAction(verb, noun, subject, options = []) {
+            this._settle(this._opt(options, 'rid'), null, { verb, noun, subject, options });
+            return _processAction.call(this, verb, noun, subject, options);
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { requestTimeout: 10000, ...ws.o };
+        ws.pending = new Map();
+        ws._rid = Math.random().toString(36).slice(2, 8);
+        ws._rn = 0;
+        ws.globalVerbs.reply = () => {};
+    });
+})(WebSocketHypermedia);
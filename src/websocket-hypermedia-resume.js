@@ -0,0 +1,51 @@
+/**
+ * WebSocket Hypermedia Resume Add-on
+ * Session resumption (resume): tracks seq= on inbound frames, skips duplicates and
+ * asks the server for its position on connect and to replay missed frames after a reconnect.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _admit, _setupHandlers } = P;
+
+    Object.assign(P, {
+        _admit(f, ...args) {
+            const ok = _admit.call(this, f, ...args);
+            return ok.then ? ok.then(ok => ok && this._seq(f)) : ok && this._seq(f);
+        },
+
+        _seq(f) {
+            const q = +this._opt(f.options, 'seq');
+            if (!this.o.resume || !q) return 1;
+            if (q <= this.seq) return 0;
+            this.seq = q;
+            return 1;
+        },
+
+        _setupHandlers() {
+            _setupHandlers.call(this);
+            const { onopen } = this.ws;
+            this.ws.onopen = () => {
+                if (this.o.resume) this.ws.send(this.createMessage(this.o.resumeVerb, '', this.seq || this._rs ? this.seq : ''));
+                onopen();
+            };
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = { resumeVerb: 'resume', ...ws.o };
+        ws.seq = 0;
+        ws._rs = 0;
+        ws.globalVerbs[ws.o.resumeVerb] = s => {
+            ws._rs = 1;
+            ws.seq = Math.max(ws.seq, +s || 0);
+        };
+        ws.globalVerbs.resync = (s, o) => {
+            ws.seq = +s || 0;
+            const render = ws._opt(o, 'render');
+            ws.o.onResync ? ws.o.onResync({ seq: ws.seq, render }) : render || location.reload();
+        };
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,65 @@
+/**
+ * WebSocket Hypermedia Sanitize Add-on
+ * Opt-in client-side HTML filter (sanitize) for content verbs and setAttr, driven by
+ * tag, attribute and URL-scheme allow-lists, or a custom sanitize function.
+ * Defense in depth only; the server remains responsible for sanitization.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _html } = P;
+
+    Object.assign(P, {
+        _html(s) {
+            return _html.call(this, this._san(s));
+        },
+
+        _san(s) {
+            const f = this.o.sanitize;
+            if (!f) return s;
+            if (typeof f === 'function') return f(s);
+            const t = this._tpl(s);
+            this._clean(t.content);
+            return t.innerHTML;
+        },
+
+        _clean(n) {
+            for (const c of [...n.children]) {
+                if (!this.o.allowTags.includes(c.localName)) {
+                    this._logSec('BLOCKED_TAG', { tag: c.localName });
+                    c.remove();
+                    continue;
+                }
+                for (const a of c.getAttributeNames()) if (!this._attrOk(a, c.getAttribute(a))) c.removeAttribute(a);
+                this._clean(c);
+            }
+        },
+
+        _attrOk(a, v) {
+            a = a.toLowerCase();
+            let ok = !a.startsWith('on') && (this.o.allowAttrs.includes(a) || /^(data-(?!ws-)|aria-)/.test(a));
+            if (ok && /^(href|src|action|formaction|xlink:href)$/.test(a)) {
+                try {
+                    ok = this.o.allowSchemes.includes(new URL(v, 'http:x').protocol.slice(0, -1));
+                } catch {
+                    ok = 0;
+                }
+            }
+            if (!ok) this._logSec('BLOCKED_ATTRIBUTE', { attr: a });
+            return ok;
+        }
+    });
+
+    addons.push(ws => {
+        ws.o = {
+            allowTags: 'a abbr b blockquote br button caption code dd del details div dl dt em fieldset figcaption figure footer form h1 h2 h3 h4 h5 h6 header hr i img input ins kbd label legend li mark nav ol optgroup option p pre q s section select small span strong sub summary sup table tbody td textarea tfoot th thead time tr u ul'.split(' '),
+            allowAttrs: 'id class title href src alt width height name value type checked disabled selected placeholder for role colspan rowspan rel open lang dir min max step maxlength required readonly multiple rows cols datetime'.split(' '),
+            allowSchemes: ['http', 'https', 'mailto', 'tel'],
+            ...ws.o
+        };
+        const { setAttr } = ws.actions;
+        ws.actions.setAttr = (e, n, v) => (!ws.o.sanitize || ws._attrOk(n, v)) && setAttr(e, n, v);
+    });
+})(WebSocketHypermedia);
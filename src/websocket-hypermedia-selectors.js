@@ -0,0 +1,32 @@
+/**
+ * WebSocket Hypermedia Selectors Add-on
+ * Opt-in `$selector` / `$$selector` nouns (enableSelectors) resolved with
+ * querySelector / querySelectorAll instead of getElementById.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P }) => {
+    const { _target } = P;
+
+    Object.assign(P, {
+        _validateSelector(s) {
+            return typeof s === 'string' && s.length > 0 && s.length <= 200;
+        },
+
+        _target(noun, r = document) {
+            if (!this.o.enableSelectors || noun[0] !== '$') return _target.call(this, noun, r);
+            const all = noun[1] === '$';
+            const sel = noun.slice(all ? 2 : 1);
+            try {
+                if (!this._validateSelector(sel)) throw new Error('Invalid selector');
+                return all ? [...r.querySelectorAll(sel)] : [r.querySelector(sel)].filter(Boolean);
+            } catch {
+                this._logSec('INVALID_SELECTOR', { selector: sel });
+                if (this.o.enableLogging) console.warn('Invalid selector:', sel);
+                return [];
+            }
+        }
+    });
+})(WebSocketHypermedia);
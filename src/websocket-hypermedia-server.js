@@ -0,0 +1,229 @@
+/**
+ * WebSocket Hypermedia Server Companion
+ * Node.js helpers that mirror the client protocol: parsing, message building,
+ * verb-based routing and DOM-update helpers on top of the `ws` package.
+ * Works with any ws-compatible socket (send/on/readyState) and server (clients/on).
+ * See docs/server.md for the API reference.
+ */
+
+const crypto = require('crypto');
+
+const OPEN = 1;
+
+const DEFAULTS = {
+    escapeChar: '~',
+    maxMessageSize: 1024 * 1024,
+    maxParts: 100,
+    signingKey: null,
+    pingVerb: 'ping',
+    pongVerb: 'pong',
+    replayBufferSize: 0,
+    resumeVerb: 'resume',
+    onResync: null,
+    authorizeTopic: null
+};
+
+// Mirrors WebSocketHypermedia._parseMessage in the client
+function parseMessage(data, options = {}) {
+    const { escapeChar: esc, maxMessageSize, maxParts } = { ...DEFAULTS, ...options };
+    if (data.length > maxMessageSize) throw new Error('Message too large');
+
+    const parts = [];
+    let current = [];
+    let escaped = false;
+
+    for (let i = 0; i < data.length; i++) {
+        const char = data[i];
+
+        if (char === esc) {
+            if (escaped && data[i + 1] === esc) current.push(esc), i++;
+            else escaped = !escaped;
+            continue;
+        }
+
+        if (char === '|' && !escaped) {
+            parts.push(current.join(''));
+            current = [];
+            if (parts.length > maxParts) throw new Error('Too many message parts');
+            continue;
+        }
+
+        current.push(char);
+    }
+
+    parts.push(current.join(''));
+    return parts;
+}
+
+// Wraps a field in the escape char when needed (or always with `wrap`); literal escape chars are doubled
+function encodeField(value, escapeChar = DEFAULTS.escapeChar, wrap = false) {
+    const s = String(value ?? '');
+    if (!wrap && !s.includes(escapeChar) && !s.includes('|')) return s;
+    return escapeChar + s.split(escapeChar).join(escapeChar + escapeChar) + escapeChar;
+}
+
+// Mirrors WebSocketHypermedia.createMessage in the client
+function createMessage(verb, noun, subject, ...options) {
+    return [verb, noun, subject, ...options].map(field => encodeField(field)).join('|');
+}
+
+// Mirrors WebSocketHypermedia.sendEscaped in the client
+function createEscapedMessage(verb, noun, subject, options = [], escapeChar = DEFAULTS.escapeChar) {
+    const fields = [verb, noun, subject, ...options].map((field, i) => encodeField(field, escapeChar, i === 2));
+    return fields.join('|');
+}
+
+// Appends sig=<hex HMAC-SHA256> over the canonical frame, matching the client's signature check
+function signMessage(frame, key, options = {}) {
+    const esc = options.escapeChar || DEFAULTS.escapeChar;
+    const parts = parseMessage(frame, options);
+    const fields = [...parts.slice(0, 3), ...parts.slice(3).filter(option => !option.startsWith('sig='))];
+    const canonical = fields.map(field => encodeField(field, esc)).join('|');
+    return `${frame}|sig=${crypto.createHmac('sha256', key).update(canonical).digest('hex')}`;
+}
+
+const HELPER_VERBS = [
+    'update', 'morph', 'append', 'prepend', 'replace', 'remove', 'swap', 'before', 'after',
+    'addClass', 'removeClass', 'toggleClass', 'setAttr', 'removeAttr', 'setStyle', 'removeStyle',
+    'trigger', 'setValue', 'setChecked', 'setSelected', 'animate', 'transition', 'keyframe'
+];
+
+class WebSocketHypermediaServer {
+    constructor(wss = null, options = {}) {
+        this.options = { ...DEFAULTS, onError: null, ...options };
+        this.wss = wss;
+        this.routes = new Map();
+        this.seq = 0;
+        this.replayBuffer = [];
+        this.topics = new Map();
+
+        wss?.on('connection', (ws, req) => this.attach(ws, req));
+    }
+
+    on(verb, handler) {
+        this.routes.set(verb, handler);
+        return this;
+    }
+
+    off(verb) {
+        this.routes.delete(verb);
+        return this;
+    }
+
+    attach(ws, req) {
+        ws.on('message', (data) => this.handle(ws, data.toString(), req));
+        ws.on('close', () => this.unsubscribeAll(ws));
+        return ws;
+    }
+
+    async handle(ws, data, req) {
+        try {
+            const [verb, noun = '', subject = '', ...options] = this.parse(data);
+            // Answers client heartbeats unless the app routes the ping verb itself
+            if (verb === this.options.pingVerb && !this.routes.has(verb)) return this.send(ws, this.options.pongVerb, '', subject);
+            if (verb === this.options.resumeVerb && this.options.replayBufferSize && !this.routes.has(verb)) return await this.resume(ws, subject === '' ? null : Number(subject));
+            if (verb === 'subscribe' && !this.routes.has(verb)) return await this.subscribe(ws, subject, req);
+            if (verb === 'unsubscribe' && !this.routes.has(verb)) return this.unsubscribe(ws, subject);
+            const handler = this.routes.get(verb) || this.routes.get('*');
+            if (handler) await handler(ws, { verb, noun, subject, options, req });
+        } catch (err) {
+            if (this.options.onError) this.options.onError(err, ws);
+            else console.error('WebSocket Hypermedia server error:', err);
+        }
+    }
+
+    parse(data) {
+        return parseMessage(data, this.options);
+    }
+
+    createMessage(verb, noun, subject, ...options) {
+        const frame = createEscapedMessage(verb, noun, subject, options, this.options.escapeChar);
+        return this.options.signingKey ? signMessage(frame, this.options.signingKey, this.options) : frame;
+    }
+
+    sendRaw(ws, frame) {
+        if (ws.readyState !== OPEN) return false;
+        ws.send(frame);
+        return true;
+    }
+
+    send(ws, verb, noun, subject = '', ...options) {
+        return this.sendRaw(ws, this.createMessage(verb, noun, subject, ...options));
+    }
+
+    broadcast(verb, noun, subject = '', ...options) {
+        const size = this.options.replayBufferSize;
+        if (size) options.push(`seq=${++this.seq}`);
+        const frame = this.createMessage(verb, noun, subject, ...options);
+        if (size) {
+            this.replayBuffer.push([this.seq, frame]);
+            if (this.replayBuffer.length > size) this.replayBuffer.shift();
+        }
+        let count = 0;
+        for (const ws of this.wss?.clients || []) if (this.sendRaw(ws, frame)) count++;
+        return count;
+    }
+
+    // Adds ws to topic when options.authorizeTopic(ws, topic, req) allows it
+    async subscribe(ws, topic, req) {
+        const { authorizeTopic } = this.options;
+        if (authorizeTopic && !(await authorizeTopic(ws, topic, req))) return false;
+        if (!this.topics.has(topic)) this.topics.set(topic, new Set());
+        this.topics.get(topic).add(ws);
+        return true;
+    }
+
+    unsubscribe(ws, topic) {
+        const members = this.topics.get(topic);
+        if (!members?.delete(ws)) return false;
+        if (!members.size) this.topics.delete(topic);
+        return true;
+    }
+
+    unsubscribeAll(ws) {
+        for (const topic of [...this.topics.keys()]) this.unsubscribe(ws, topic);
+    }
+
+    // Sends a frame tagged topic=<topic> to the topic's open members; returns the number reached
+    publish(topic, verb, noun, subject = '', ...options) {
+        const frame = this.createMessage(verb, noun, subject, ...options, `topic=${topic}`);
+        let count = 0;
+        for (const ws of this.topics.get(topic) || []) if (this.sendRaw(ws, frame)) count++;
+        return count;
+    }
+
+    // Replays broadcasts after `seq`, or tells the client to resync when the buffer no longer covers the gap; a null `seq` (first connect) gets the current one
+    async resume(ws, seq) {
+        if (seq == null) {
+            this.send(ws, this.options.resumeVerb, '', String(this.seq));
+            return 0;
+        }
+        const oldest = this.replayBuffer[0]?.[0] ?? this.seq + 1;
+        if (seq >= 0 && seq <= this.seq && oldest <= seq + 1) {
+            let count = 0;
+            for (const [n, frame] of this.replayBuffer) if (n > seq && this.sendRaw(ws, frame)) count++;
+            return count;
+        }
+        const { onResync } = this.options;
+        this.send(ws, 'resync', '', String(this.seq), ...(onResync ? ['render=server'] : []));
+        if (onResync) await onResync(ws, seq);
+        return -1;
+    }
+}
+
+// update(ws, id, html), addClass(ws, id, cls), setAttr(ws, id, name, value), ...
+for (const verb of HELPER_VERBS) {
+    WebSocketHypermediaServer.prototype[verb] = function (ws, noun, subject = '', ...options) {
+        return this.send(ws, verb, noun, subject, ...options);
+    };
+}
+
+module.exports = {
+    WebSocketHypermediaServer,
+    parseMessage,
+    createMessage,
+    createEscapedMessage,
+    encodeField,
+    signMessage,
+    HELPER_VERBS
+};
@@ -0,0 +1,77 @@
+/**
+ * WebSocket Hypermedia Shared Connection Add-on
+ * Shares one socket between the tabs of an origin (shareConnection): a Web Locks leader
+ * owns the connection and relays frames and state over a BroadcastChannel.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _connect, _admit, _apply, _set, _tx, destroy, flushSecurityEvents } = P;
+
+    Object.assign(P, {
+        _share() {
+            const k = 'wshm:' + this.url, bc = this._bc = new BroadcastChannel(k);
+            bc.onmessage = ({ data: m }) => {
+                if (this._lead) {
+                    if (m.s) this._tx(m.s);
+                    if (m.q) bc.postMessage({ st: this.state });
+                } else if (m.f) this._run(m.f).catch(e => this._handleError(e));
+                else if (m.st) this._set(m.st);
+            };
+            bc.postMessage({ q: 1 });
+            navigator.locks.request(k, () => this._bc && (this._lead = 1, this._connect(), new Promise(r => this._unlock = r)));
+        },
+
+        _connect() {
+            if (!this._bc || this._lead) _connect.call(this);
+        },
+
+        _admit(f, ...args) {
+            const ok = _admit.call(this, f, ...args);
+            return ok.then ? ok.then(ok => this._fwd(ok, f)) : this._fwd(ok, f);
+        },
+
+        _fwd(ok, f) {
+            if (ok && this._lead) this._bc?.postMessage({ f });
+            return ok;
+        },
+
+        _apply(f) {
+            const m = this._mute;
+            this._mute = this._bc && !this._lead;
+            try {
+                return _apply.call(this, f);
+            } finally {
+                this._mute = m;
+            }
+        },
+
+        _set(s) {
+            _set.call(this, s);
+            if (this._lead) this._bc?.postMessage({ st: s });
+        },
+
+        _tx(action) {
+            if (this._mute) return;
+            if (this._bc && !this._lead) this._bc.postMessage({ s: action });
+            else _tx.call(this, action);
+        },
+
+        flushSecurityEvents() {
+            if (this._bc && !this._lead) this._sec.length = 0;
+            else flushSecurityEvents.call(this);
+        },
+
+        destroy() {
+            this._bc?.close();
+            this._bc = this._unlock?.();
+            destroy.call(this);
+        }
+    });
+
+    addons.push(ws => {
+        if (ws.o.shareConnection && window.BroadcastChannel && navigator.locks) ws._share();
+    });
+})(WebSocketHypermedia);
@@ -0,0 +1,46 @@
+/**
+ * WebSocket Hypermedia Signing Add-on
+ * Verifies HMAC-SHA256 sig= options on inbound frames (signingKey) with Web Crypto,
+ * dropping unsigned or tampered frames; verification keeps frames in arrival order.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _admit, _setupHandlers } = P;
+
+    Object.assign(P, {
+        async _vSig(verb, noun, subject, options) {
+            const sig = this._opt(options, 'sig');
+            if (!sig) return 0;
+            const k = this.o.signingKey;
+            const te = new TextEncoder();
+            if (!this._key) this._key = typeof k === 'string' ? crypto.subtle.importKey('raw', te.encode(k), { name: 'HMAC', hash: 'SHA-256' }, 0, ['verify']) : k;
+            const msg = this.createMessage(verb, noun, subject, ...options.filter(o => !o.startsWith('sig=')));
+            return crypto.subtle.verify('HMAC', await this._key, new Uint8Array((sig.match(/../g) || []).map(h => parseInt(h, 16))), te.encode(msg));
+        },
+
+        _admit(f, ...args) {
+            const ok = _admit.call(this, f, ...args);
+            return this.o.signingKey ? this._signed(ok, f) : ok;
+        },
+
+        async _signed(ok, f) {
+            if (!(await ok)) return 0;
+            if (await this._vSig(f.verb, f.noun, f.subject, f.options)) return 1;
+            this._logSec('INVALID_SIGNATURE', { verb: f.verb, noun: f.noun });
+            return 0;
+        },
+
+        _setupHandlers() {
+            _setupHandlers.call(this);
+            const { onmessage } = this.ws;
+            this.ws.onmessage = (ev) => this.o.signingKey ? (this._in = this._in.then(() => onmessage(ev))) : onmessage(ev);
+        }
+    });
+
+    addons.push(ws => {
+        ws._in = Promise.resolve();
+    });
+})(WebSocketHypermedia);
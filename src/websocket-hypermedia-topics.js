@@ -0,0 +1,39 @@
+/**
+ * WebSocket Hypermedia Topics Add-on
+ * Topic subscriptions: subscribe()/unsubscribe() send membership frames, and frames tagged
+ * topic= reach only subscribed clients, optionally scoped to a container element.
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _scope } = P;
+
+    Object.assign(P, {
+        _scope(options, f) {
+            const r = _scope.call(this, options, f);
+            const t = this._opt(options, 'topic');
+            if (t == null || !r) return r;
+            const sub = this.topics.get(t);
+            if (!sub || (f && sub.h?.({ ...f, topic: t }) === false)) return null;
+            return typeof sub.s === 'string' ? document.querySelector(sub.s) : sub.s || r;
+        },
+
+        subscribe(topic, handler, scope) {
+            this.topics.set(topic, { h: handler, s: scope });
+            if (this.readyState === WebSocket.OPEN) this.sendEscaped('subscribe', '', topic);
+            return this;
+        },
+
+        unsubscribe(topic) {
+            if (this.topics.delete(topic) && this.readyState === WebSocket.OPEN) this.sendEscaped('unsubscribe', '', topic);
+            return this;
+        }
+    });
+
+    addons.push(ws => {
+        ws.topics = new Map();
+        ws.on('stateChange', ({ to }) => to === 'open' && ws.topics.forEach((v, t) => ws.sendEscaped('subscribe', '', t)));
+    });
+})(WebSocketHypermedia);
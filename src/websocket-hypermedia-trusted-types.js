@@ -0,0 +1,43 @@
+/**
+ * WebSocket Hypermedia Trusted Types Add-on
+ * Routes every HTML sink, including <template> parsing for morph and the sanitizer,
+ * through a Trusted Types policy (trustedTypes option: a policy name or an existing policy).
+ * Load after src/websocket-hypermedia.js. See docs/API.md for the reference.
+ */
+
+/* global WebSocketHypermedia */
+
+(({ prototype: P, addons }) => {
+    const { _html, _tpl } = P;
+    const pols = new Map();
+
+    Object.assign(P, {
+        _tt(s) {
+            return this._pol ? this._pol.createHTML(s) : s;
+        },
+
+        _html(s) {
+            return this._tt(_html.call(this, s));
+        },
+
+        _tpl(html) {
+            return _tpl.call(this, typeof html === 'string' ? this._tt(html) : html);
+        }
+    });
+
+    addons.push(ws => {
+        const tt = ws.o.trustedTypes;
+        if (typeof tt !== 'string') {
+            if (ws.o.createHTML && ws.o.enableLogging) console.warn('createHTML is ignored unless trustedTypes is a policy name');
+            ws._pol = tt;
+        } else if (window.trustedTypes) {
+            try {
+                if (!pols.has(tt)) pols.set(tt, window.trustedTypes.createPolicy(tt, { createHTML: (h, c) => c.o.createHTML ? c.o.createHTML(h) : h }));
+                const pol = pols.get(tt);
+                ws._pol = { createHTML: s => pol.createHTML(s, ws) };
+            } catch (e) {
+                ws._handleError(e);
+            }
+        }
+    });
+})(WebSocketHypermedia);
@@ -7,11 +7,14 @@ class WebSocketHypermedia {
             autoReconnect: 1,
             reconnectDelay: 1000,
             maxReconnectAttempts: 5,
+            maxReconnectDelay: 30000,
             escapeChar: '~',
             onConnect: null,
             onDisconnect: null,
             onError: null,
             onMessage: null,
+            onStateChange: null,
+            stateClasses: 1,
             enableLogging: 1,
             maxJsonSize: 1024 * 1024,
             enableJsonValidation: 0,
@@ -29,16 +32,21 @@ class WebSocketHypermedia {
         this.isConnecting = 0;
         this.handlers = new Map();
         this.esc = this.o.escapeChar;
+        this._off = [];
+        this.state = 'idle';
+        this._ev = {};
+        this._mw = { inbound: [], post: [], outbound: [] };
+        this._an = new WeakMap();
         
         const a = this.actions = {
-            update: (e, s) => e.innerHTML = s,
-            append: (e, s) => e.insertAdjacentHTML('beforeend', s),
-            prepend: (e, s) => e.insertAdjacentHTML('afterbegin', s),
-            replace: (e, s) => e.outerHTML = s,
+            update: (e, s) => e.innerHTML = this._html(s),
+            append: (e, s) => e.insertAdjacentHTML('beforeend', this._html(s)),
+            prepend: (e, s) => e.insertAdjacentHTML('afterbegin', this._html(s)),
+            replace: (e, s) => e.outerHTML = this._html(s),
             remove: e => e.remove(),
-            swap: (e, s) => e.outerHTML = s,
-            before: (e, s) => e.insertAdjacentHTML('beforebegin', s),
-            after: (e, s) => e.insertAdjacentHTML('afterend', s),
+            swap: (e, s) => e.outerHTML = this._html(s),
+            before: (e, s) => e.insertAdjacentHTML('beforebegin', this._html(s)),
+            after: (e, s) => e.insertAdjacentHTML('afterend', this._html(s)),
             addClass: (e, s) => e.classList.add(s),
             removeClass: (e, s) => e.classList.remove(s),
             toggleClass: (e, s) => e.classList.toggle(s),
@@ -55,10 +63,11 @@ class WebSocketHypermedia {
                         const safe = {};
                         for (const [k, v] of Object.entries(data)) {
                             if (k !== '__proto__' && k !== 'constructor') safe[k] = v;
+                            else this._logSec('PROTOTYPE_POLLUTION', { key: k });
                         }
                         Object.assign(ev, safe);
                     } catch (err) {
-                        this._logSec('JSON parsing error', { error: err.message, eventData: d });
+                        this._jsonErr(err, d);
                         ev.detail = d;
                     }
                 }
@@ -73,7 +82,7 @@ class WebSocketHypermedia {
                 } else e.value = v;
             },
             animate: (e, n, d, es, dl, it, dir, fill, ...opts) => {
-                const anim = e.animate([
+                this._anim(e, n, e.animate([
                     { opacity: '0', transform: 'translateY(20px)' },
                     { opacity: '1', transform: 'translateY(0)' }
                 ], {
@@ -83,25 +92,24 @@ class WebSocketHypermedia {
                     iterations: it === 'infinite' ? Infinity : (parseInt(it) || 1),
                     direction: dir || 'normal',
                     fill: fill || 'none'
-                });
-                e.dataset.currentAnimation = n;
-                e.dataset.animation = anim;
+                }));
             },
             transition: (e, p, d, es) => e.style.transition = `${p || 'all'} ${d || '0.3s'} ${es || 'ease'}`,
-            removeAnimation: e => {
-                if (e.dataset.animation) {
-                    e.dataset.animation.cancel();
-                    delete e.dataset.animation;
-                    delete e.dataset.currentAnimation;
+            removeAnimation: (e, n) => {
+                for (const [k, a] of this._anims(e, n)) {
+                    a.cancel();
+                    this._an.get(e).delete(k);
                 }
+                if (!this._an.get(e)?.size) delete e.dataset.currentAnimation;
+            },
+            pauseAnimation: (e, n) => this._anims(e, n).forEach(([, a]) => a.pause()),
+            resumeAnimation: (e, n) => this._anims(e, n).forEach(([, a]) => a.play()),
+            seekAnimation: (e, n, t) => this._anims(e, n).forEach(([, a]) => a.currentTime = parseFloat(t) * 1000 || 0),
+            getAnimationState: (e, n) => {
+                const st = this._anims(e, n).map(([name, a]) => ({ name, playState: a.playState, currentTime: a.currentTime }));
+                this.sendEscaped('animationState', e.id, JSON.stringify(st));
+                return st;
             },
-            pauseAnimation: e => e.dataset.animation?.pause(),
-            resumeAnimation: e => e.dataset.animation?.play(),
-            getAnimationState: e => e.dataset.animation ? {
-                name: e.dataset.currentAnimation,
-                playState: e.dataset.animation.playState,
-                currentTime: e.dataset.animation.currentTime
-            } : null,
             keyframe: (e, n, k, d) => {
                 let parsed;
                 if (typeof k === 'string') {
@@ -109,14 +117,12 @@ class WebSocketHypermedia {
                         if (this.o.enableJsonValidation) this._vJson(k, this.o.maxJsonSize);
                         parsed = JSON.parse(k);
                     } catch (err) {
-                        this._logSec('Keyframe JSON parsing error', { error: err.message, keyframes: k });
+                        this._jsonErr(err, k);
                         return;
                     }
                 } else parsed = k;
                 
-                const anim = e.animate(parsed, { duration: d ? parseFloat(d) * 1000 : 1000 });
-                e.dataset.currentAnimation = n;
-                e.dataset.animation = anim;
+                this._anim(e, n, e.animate(parsed, { duration: d ? parseFloat(d) * 1000 : 1000 }));
             }
         };
         
@@ -129,25 +135,35 @@ class WebSocketHypermedia {
             setSelected: (action, el, subject) => action(el, subject),
             animate: (action, el, subject, options) => action(el, subject, options[0] || '1s', options[1] || 'ease', options[2] || '0s', options[3] || '1', options[4] || 'normal', options[5] || 'none', ...options.slice(6)),
             transition: (action, el, subject, options) => action(el, subject, options[0] || '0.3s', options[1] || 'ease'),
-            removeAnimation: (action, el) => action(el),
-            pauseAnimation: (action, el) => action(el),
-            resumeAnimation: (action, el) => action(el),
-            getAnimationState: (action, el) => action(el),
+            removeAnimation: (action, el, subject) => action(el, subject),
+            pauseAnimation: (action, el, subject) => action(el, subject),
+            resumeAnimation: (action, el, subject) => action(el, subject),
+            seekAnimation: (action, el, subject, options) => action(el, subject, options[0] || '0'),
+            getAnimationState: (action, el, subject) => action(el, subject),
             keyframe: (action, el, subject, options) => action(el, subject, options[0] || '{}', options[1] || '1s')
         };
         
+        this.globalVerbs = {
+            batch: (subject, options) => this._batch([subject, ...options])
+        };
+        
+        this.constructor.addons.forEach(f => f(this));
+        
         this._connect();
     }
     
     _connect() {
         if (this.isConnecting) return;
         this.isConnecting = 1;
+        this._set('connecting');
         
         try {
             this._validateUrl(this.url);
             this.ws = new WebSocket(this.url);
             this._setupHandlers();
         } catch (err) {
+            this.isConnecting = 0;
+            this._set('failed');
             this._handleError(err);
         }
     }
@@ -172,57 +188,77 @@ class WebSocketHypermedia {
         return 1;
     }
     
-    _logSec(e, d) {
+    _logSec(code, d = {}) {
+        const ev = { code, time: Date.now(), detail: {} };
+        for (const k in d) ev.detail[k] = typeof d[k] === 'number' ? d[k] : String(d[k]).slice(0, 200);
         if (this.o.enableSecurityLogging) {
             const m = this.o.securityLogLevel === 'error' ? 'error' : 'warn';
-            console[m](`[Security] ${e}:`, d);
+            console[m](`[Security] ${code}:`, ev.detail);
         }
+        this._emit('securityEvent', ev);
+        return ev;
+    }
+    
+    _jsonErr(err, data) {
+        this._logSec(err.message === 'Prototype pollution' ? 'PROTOTYPE_POLLUTION' : 'INVALID_JSON', { error: err.message, data });
+    }
+    
+    _own(o, k) {
+        return Object.prototype.hasOwnProperty.call(o, k) ? o[k] : undefined;
+    }
+    
+    _opt(o, k) {
+        return o.find(opt => opt.startsWith(k + '='))?.slice(k.length + 1);
     }
     
     _vProto(v, o) {
         if (!this.o.requireVersion) return 1;
-        const ver = o.find(opt => opt.startsWith('version='));
-        return ver ? ver.split('=')[1] === this.o.protocolVersion : 0;
+        return this._opt(o, 'version') === this.o.protocolVersion;
     }
     
     _setupHandlers() {
-        const { onConnect, onDisconnect, onMessage } = this.o;
-        
         this.ws.onopen = () => {
+            const n = this.reconnectAttempts;
             this.isConnecting = 0;
-            this.reconnectAttempts = 0;
-            onConnect?.();
+            this.reconnectAttempts = this._rd = 0;
+            this._set('open');
+            this._emit('connect');
+            if (n) this._emit('reconnected', { attempt: n });
         };
         
         this.ws.onclose = (ev) => {
             this.isConnecting = 0;
-            onDisconnect?.(ev);
+            this._emit('disconnect', ev);
             
-            if (this.o.autoReconnect && this.reconnectAttempts < this.o.maxReconnectAttempts) {
-                this._scheduleReconnect();
-            }
+            if (this.o.autoReconnect && !/^clos/.test(this.state)) this._scheduleReconnect();
+            else this._set('closed');
         };
         
         this.ws.onerror = (err) => this._handleError(err);
         
         this.ws.onmessage = async (ev) => {
             await this._handleMessage(ev.data);
-            onMessage?.(ev.data);
+            this._emit('message', ev.data);
         };
     }
     
     _scheduleReconnect() {
-        this.reconnectAttempts++;
-        const delay = this.o.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
-        
-        setTimeout(() => {
-            if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
-                this._connect();
-            }
-        }, delay);
+        const n = this.reconnectAttempts + 1;
+        const d = this._delay(n);
+        if (n > this.o.maxReconnectAttempts || d == null || d < 0) return this._set('failed'), this._emit('gaveUp', { attempts: n - 1 });
+        this.reconnectAttempts = n;
+        this._rd = d;
+        this._set('reconnecting');
+        this._emit('reconnecting', { attempt: n, delay: d });
+        clearTimeout(this._rt);
+        this._rt = setTimeout(() => this.readyState === WebSocket.CLOSED && this._connect(), d);
     }
     
-    async _handleMessage(data) {
+    _delay(n) {
+        return Math.min(this.o.maxReconnectDelay, this.o.reconnectDelay * 2 ** (n - 1));
+    }
+    
+    async _handleMessage(data, retry) {
         try {
             const parts = this._parseMessage(data);
             
@@ -230,21 +266,23 @@ class WebSocketHypermedia {
                 const [verb, noun, subject, ...options] = parts;
                 
                 if (this.o.requireVersion && !this._vProto(verb, options)) {
-                    this._logSec('Protocol version mismatch', { verb, options });
+                    this._logSec('VERSION_MISMATCH', { verb, options });
                     return;
                 }
                 
-                await this._processAction(verb, noun, subject, options);
+                const ok = this._admit({ verb, noun, subject, options }, data, retry);
+                if (!(ok.then ? await ok : ok)) return;
+                await this._run({ verb, noun, subject, options });
             }
         } catch (err) {
-            this._logSec('Message processing error', { error: err.message });
+            this._logSec('MESSAGE_ERROR', { error: err.message });
             if (this.o.enableLogging) console.error('Error processing message:', err);
         }
     }
     
     _parseMessage(data) {
         if (data.length > this.o.maxMessageSize) {
-            this._logSec('Message too large', { size: data.length, maxSize: this.o.maxMessageSize });
+            this._logSec('MESSAGE_TOO_LARGE', { size: data.length, maxSize: this.o.maxMessageSize });
             throw new Error('Message too large');
         }
         
@@ -258,12 +296,9 @@ class WebSocketHypermedia {
         while (i < len) {
             const char = data[i];
             
-            if (char === esc && !escaped) {
-                escaped = 1;
-                i++;
-                continue;
-            } else if (char === esc && escaped) {
-                escaped = 0;
+            if (char === esc) {
+                if (escaped && data[i + 1] === esc) current.push(esc), i++;
+                else escaped = escaped ? 0 : 1;
                 i++;
                 continue;
             } else if (char === '|' && !escaped) {
@@ -272,7 +307,7 @@ class WebSocketHypermedia {
                 i++;
                 
                 if (parts.length > this.o.maxParts) {
-                    this._logSec('Too many message parts', { parts: parts.length, maxParts: this.o.maxParts });
+                    this._logSec('TOO_MANY_PARTS', { parts: parts.length, maxParts: this.o.maxParts });
                     throw new Error('Too many message parts');
                 }
                 continue;
@@ -286,36 +321,131 @@ class WebSocketHypermedia {
         return parts;
     }
     
-    async _processAction(verb, noun, subject, options = []) {
+    _anim(e, n, a) {
+        const m = this._an.get(e) || new Map();
+        m.get(n)?.cancel();
+        this._an.set(e, m.set(n, a));
+        e.dataset.currentAnimation = n;
+    }
+    
+    _anims(e, n) {
+        return [...this._an.get(e) || []].filter(([k]) => !n || k === n);
+    }
+    
+    _target(noun, r = document) {
         if (!this._validateId(noun)) {
+            this._logSec('INVALID_ID', { id: noun });
             if (this.o.enableLogging) console.warn('Invalid element ID:', noun);
-            return;
+            return [];
         }
         
-        const el = document.getElementById(noun);
-        if (!el) {
-            if (this.o.enableLogging) console.warn('Element not found:', noun);
+        const el = r === document ? document.getElementById(noun) : [...r.querySelectorAll('[id]')].find(e => e.id === noun);
+        if (!el && this.o.enableLogging) console.warn('Element not found:', noun);
+        return el ? [el] : [];
+    }
+    
+    _tpl(html) {
+        const t = document.createElement('template');
+        t.innerHTML = html;
+        return t;
+    }
+    
+    _html(s) {
+        return s;
+    }
+    
+    async _batch(msgs) {
+        const ps = msgs.map(m => this._parseMessage(m)), fs = [];
+        if (ps.every(p => p.length > 2)) for (const [verb, noun, subject, ...options] of ps) fs.push(await this._inbound({ verb, noun, subject, options }));
+        const ok = (f, r) => !f || this._allowed(f.verb, f.noun, f.subject, f.options) && (r = this._scope(f.options)) && (this._own(this.globalVerbs, f.verb) || (this.handlers.has(f.verb) || this._own(this.actions, f.verb)) && this._target(f.noun, r).length);
+        if (fs.length < ps.length || !fs.every(ok)) {
+            if (this.o.enableLogging) console.warn('Batch aborted, no operations applied');
             return;
         }
         
+        for (const f of fs) if (f) await this._apply(f);
+    }
+    
+    _admit() {
+        return 1;
+    }
+    
+    _allowed() {
+        return 1;
+    }
+    
+    _scope() {
+        return document;
+    }
+    
+    async _run(f) {
+        if (this._mw.inbound.length) f = await this._inbound(f);
+        if (f) await this._apply(f);
+    }
+    
+    async _inbound(f) {
+        for (const m of this._mw.inbound) {
+            const r = await m(f);
+            if (r === false) return;
+            if (r) f = r;
+        }
+        return f;
+    }
+    
+    async _apply(f) {
+        const els = await this._processAction(f.verb, f.noun, f.subject, f.options);
+        for (const m of this._mw.post) await m(f, els || []);
+    }
+    
+    addMiddleware(stage, fn) {
+        if (!this._mw[stage]) throw new Error('Unknown middleware stage: ' + stage);
+        this._mw[stage].push(fn);
+        return this;
+    }
+    
+    removeMiddleware(stage, fn) {
+        this._mw[stage] = this._mw[stage]?.filter(m => m !== fn);
+        return this;
+    }
+    
+    async _processAction(verb, noun, subject, options = []) {
+        if (!this._allowed(verb, noun, subject, options)) return;
+        const r = this._scope(options, { verb, noun, subject, options });
+        if (!r) return;
+        const g = this._own(this.globalVerbs, verb);
+        if (g) return await g(subject, options, noun), [];
+        
+        const els = this._target(noun, r);
         const custom = this.handlers.get(verb);
-        if (custom) {
-            const result = custom(el, subject, noun, options);
-            if (result?.then) await result;
+        const action = this._own(this.actions, verb);
+        const special = this._own(this.specialVerbs, verb);
+        
+        if (els.length && !custom && !action) {
+            this._logSec('UNKNOWN_VERB', { verb, noun });
+            if (this.o.enableLogging) console.warn('Unknown verb:', verb, '- Server can extend protocol without client updates');
             return;
         }
         
-        const action = this.actions[verb];
-        if (action) {
-            const special = this.specialVerbs[verb];
-            if (special) special(action, el, subject, options);
+        for (const el of els) {
+            if (custom) {
+                const result = custom(el, subject, noun, options);
+                if (result?.then) await result;
+            } else if (special) special(action, el, subject, options);
             else action(el, subject);
-        } else if (this.o.enableLogging) {
-            console.warn('Unknown verb:', verb, '- Server can extend protocol without client updates');
         }
+        return els;
     }
     
     send(action) {
+        for (const m of this._mw.outbound) {
+            const r = m(action);
+            if (r === false) return;
+            if (typeof r === 'string') action = r;
+        }
+        this._tx(action);
+    }
+    
+    _tx(action) {
         if (this.ws?.readyState === WebSocket.OPEN) {
             this.ws.send(action);
         } else if (this.o.enableLogging) {
@@ -323,12 +453,18 @@ class WebSocketHypermedia {
         }
     }
     
+    _enc(s, wrap) {
+        const e = this.esc;
+        s = String(s ?? '');
+        return wrap || s.includes(e) || s.includes('|') ? e + s.split(e).join(e + e) + e : s;
+    }
+    
     createMessage(verb, noun, subject, ...options) {
-        return [verb, noun, subject, ...options].join('|');
+        return [verb, noun, subject, ...options].map(f => this._enc(f)).join('|');
     }
     
     sendEscaped(verb, noun, subject, ...options) {
-        this.send(this.createMessage(verb, noun, this.esc + subject + this.esc, ...options));
+        this.send([this._enc(verb), this._enc(noun), this._enc(subject, 1), ...options.map(f => this._enc(f))].join('|'));
     }
     
     addMessageHandler(action, handler) {
@@ -341,27 +477,71 @@ class WebSocketHypermedia {
     
     _handleError(err) {
         if (this.o.enableLogging) console.error('WebSocket Hypermedia error:', err);
-        this.o.onError?.(err);
+        this._emit('error', err);
+    }
+    
+    on(type, fn) {
+        if (!this._ev[type]) this._ev[type] = [];
+        this._ev[type].push(fn);
+        return this;
+    }
+    
+    off(type, fn) {
+        this._ev[type] = this._ev[type]?.filter(f => f !== fn);
+        return this;
+    }
+    
+    _emit(type, d) {
+        this.o['on' + type[0].toUpperCase() + type.slice(1)]?.(d);
+        this._ev[type]?.forEach(f => f(d));
+    }
+    
+    _set(s) {
+        const from = this.state, h = this.o.stateClasses && document.documentElement;
+        if (s === from) return;
+        this.state = s;
+        if (h) {
+            h.dataset.wsState = s;
+            if (s !== 'connecting') ['ws-connected', 'ws-disconnected'].forEach((c, i) => h.classList.toggle(c, (s === 'open') ^ i));
+        }
+        this._emit('stateChange', { from, to: s });
+    }
+    
+    _listen(target, type, fn) {
+        target.addEventListener(type, fn);
+        this._off.push(() => target.removeEventListener(type, fn));
     }
     
     disconnect() {
+        clearTimeout(this._rt);
+        this._set(this.ws?.readyState < WebSocket.CLOSING ? 'closing' : 'closed');
         this.ws?.close();
     }
     
+    destroy() {
+        this._off.forEach(f => f());
+        this._off = [];
+        this.o.autoReconnect = 0;
+        clearTimeout(this._rt);
+        this.disconnect();
+    }
+    
     connect() {
         this._connect();
     }
     
     get readyState() {
-        return this.ws?.readyState ?? WebSocket.CLOSED;
+        return this.ws?.readyState ?? (this.state === 'open' ? WebSocket.OPEN : WebSocket.CLOSED);
     }
 }
 
+WebSocketHypermedia.addons = [];
+
 if (typeof window !== 'undefined') {
     document.addEventListener('DOMContentLoaded', () => {
         const script = document.currentScript || document.querySelector('script[src*="websocket-hypermedia.js"]');
         if (script?.dataset.url) {
-            window.wsHypermedia = new WebSocketHypermedia(script.dataset.url);
+            window.wsHypermedia = new WebSocketHypermedia(script.dataset.url, { enableBindings: 'bindings' in script.dataset, shareConnection: 'share' in script.dataset });
         }
     });
 }
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Animation Registry Tests for WebSocket Hypermedia
+ * Tests for named per-element animations controlled and queried by the server
+ */
+
+const { createClient } = require('./library-loader');
+
+class AnimationRegistryTests {
+    setup() {
+        const { lib, client, socket } = createClient({}, { open: true });
+        return { lib, client, socket, box: lib.addElement('box') };
+    }
+
+    // Animation Registry Test: Named Animations and State
+    // JUSTIFICATION: Core registry behavior
+    // - Tests that several named animations on one element are controlled separately
+    // - Ensures getAnimationState replies with an animationState frame
+    async testNamedAnimationsAndState() {
+        const { client, socket, box } = this.setup();
+
+        await client._handleMessage('animate|box|fadeIn|2s');
+        await client._handleMessage('keyframe|box|pulse|[{"opacity":"1"},{"opacity":"0.5"}]|1s');
+        await client._handleMessage('pauseAnimation|box|fadeIn');
+        await client._handleMessage('getAnimationState|box|');
+        await client._handleMessage('getAnimationState|box|pulse');
+
+        const expected = [
+            'animationState|box|~[{"name":"fadeIn","playState":"paused","currentTime":0},{"name":"pulse","playState":"running","currentTime":0}]~',
+            'animationState|box|~[{"name":"pulse","playState":"running","currentTime":0}]~'
+        ];
+        if (socket.sent.join(',') !== expected.join(',')) throw new Error(`Unexpected state frames: ${socket.sent}`);
+        if (box.dataset.currentAnimation !== 'pulse' || 'animation' in box.dataset) throw new Error('Animation handle stored in dataset');
+        console.log('✅ Named animations are controlled and reported separately');
+    }
+
+    // Animation Registry Test: Seek, Restart and Remove
+    // JUSTIFICATION: Server-driven playback control
+    // - Tests that seekAnimation sets the current time in seconds
+    // - Ensures restarting a name cancels the previous animation
+    // - Ensures removeAnimation cancels one name, or every animation without a name
+    async testSeekRestartAndRemove() {
+        const { client, box } = this.setup();
+        const state = (name) => client.actions.getAnimationState(box, name);
+
+        await client._handleMessage('animate|box|slideIn|1s');
+        const [first] = client._anims(box, 'slideIn');
+        await client._handleMessage('animate|box|slideIn|1s');
+        await client._handleMessage('animate|box|spin|3s');
+        await client._handleMessage('seekAnimation|box|spin|1.5');
+        if (first[1].playState !== 'idle' || state('spin')[0].currentTime !== 1500) throw new Error('Restart or seek not applied');
+
+        await client._handleMessage('removeAnimation|box|slideIn');
+        if (state().map(a => a.name).join(',') !== 'spin') throw new Error('Named removal removed too much');
+        await client._handleMessage('removeAnimation|box|');
+        if (state().length || box.dataset.currentAnimation) throw new Error('Animations not removed');
+        console.log('✅ Animations can be sought, restarted and removed by name');
+    }
+}
+
+module.exports = AnimationRegistryTests;
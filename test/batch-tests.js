@@ -0,0 +1,89 @@
+/**
+ * Batch Envelope Tests for WebSocket Hypermedia
+ * Tests for the batch verb that applies several operations atomically
+ */
+
+const { createClient } = require('./library-loader');
+
+class BatchTests {
+    // Batch Test: All Operations Applied
+    // JUSTIFICATION: Core batch functionality
+    // - Tests that every sub-message in a batch is applied
+    // - Ensures sub-messages keep their own verb, noun and subject
+    // - Critical for coordinated dashboard updates
+    async testBatchAppliesAllOperations() {
+        const { lib, client } = createClient();
+        const row = lib.addElement('row-1');
+        const badge = lib.addElement('badge');
+
+        await client._handleMessage('batch||~update|row-1|<td>42</td>~|~addClass|badge|hot~');
+
+        if (row.innerHTML !== '<td>42</td>') throw new Error(`Row not updated: ${row.innerHTML}`);
+        if (!badge.classList.has('hot')) throw new Error('Badge class not added');
+        console.log('✅ Batch applies all operations');
+    }
+
+    // Batch Test: All-or-Nothing
+    // JUSTIFICATION: Atomicity guarantee
+    // - Tests that a missing noun aborts the whole batch
+    // - Ensures users never see a partially applied batch
+    // - Critical for consistent UI state
+    async testBatchAbortsWhenNounMissing() {
+        const { lib, client } = createClient();
+        const row = lib.addElement('row-1');
+
+        await client._handleMessage('batch||~update|row-1|<td>42</td>~|~addClass|missing|hot~');
+
+        if (row.innerHTML !== '') throw new Error('Batch was partially applied');
+        console.log('✅ Batch is all-or-nothing');
+    }
+
+    // Batch Test: Invalid Sub-Message
+    // JUSTIFICATION: Robustness against malformed envelopes
+    // - Tests that a sub-message without a subject aborts the batch
+    // - Ensures invalid element IDs and unknown verbs inside a batch are rejected
+    async testBatchRejectsInvalidSubMessages() {
+        const { lib, client } = createClient();
+        const row = lib.addElement('row-1');
+
+        await client._handleMessage('batch||~update|row-1|ok~|~remove~');
+        await client._handleMessage('batch||~update|row-1|ok~|~remove|bad@id|~');
+        await client._handleMessage('batch||~update|row-1|ok~|~bogusVerb|row-1|y~');
+
+        if (row.innerHTML !== '') throw new Error('Invalid batch was applied');
+        console.log('✅ Invalid batch sub-messages are rejected');
+    }
+
+    // Batch Test: Ordering
+    // JUSTIFICATION: Deterministic results
+    // - Tests that sub-messages are applied in the order they were sent
+    async testBatchPreservesOrder() {
+        const { lib, client } = createClient();
+        const log = lib.addElement('log');
+
+        await client._handleMessage('batch||~append|log|a~|~append|log|b~|~append|log|c~');
+
+        if (log.innerHTML !== 'abc') throw new Error(`Unexpected order: ${log.innerHTML}`);
+        console.log('✅ Batch preserves operation order');
+    }
+
+    // Batch Test: Inherited Names
+    // JUSTIFICATION: Verbs come from the wire
+    // - Tests that Object.prototype names such as constructor and toString are not dispatched as verbs
+    // - Ensures their nouns still go through ID validation and batches containing them are dropped
+    async testInheritedNamesAreNotVerbs() {
+        const events = [];
+        const { lib, client } = createClient({ onSecurityEvent: (event) => events.push(event.code) });
+        const row = lib.addElement('row-1');
+
+        await client._handleMessage('toString|row-1|x');
+        await client._handleMessage('constructor|bad@id|x');
+        await client._handleMessage('batch||~update|row-1|ok~|~hasOwnProperty||x~');
+
+        if (events.join(',') !== 'UNKNOWN_VERB,INVALID_ID') throw new Error(`Unexpected events: ${events}`);
+        if (row.innerHTML !== '') throw new Error('Batch with an inherited name was applied');
+        console.log('✅ Inherited property names are not verbs');
+    }
+}
+
+module.exports = BatchTests;
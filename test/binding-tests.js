@@ -0,0 +1,99 @@
+/**
+ * Declarative Binding Tests for WebSocket Hypermedia
+ * Tests for data-ws-* attributes that send protocol frames without page JavaScript
+ */
+
+const { createClient } = require('./library-loader');
+
+class BindingTests {
+    setup(options = {}) {
+        return createClient({ enableBindings: 1, ...options }, { open: true });
+    }
+
+    // Binding Test: Click Sends Frame
+    // JUSTIFICATION: Core declarative binding
+    // - Tests that data-ws-click sends its frame verbatim
+    // - Ensures buttons are prevented from submitting forms
+    // - Critical for server-rendered interactive controls
+    async testClickSendsFrame() {
+        const { lib, socket } = this.setup();
+        const button = lib.addElement('save', 'BUTTON');
+        button.setAttribute('data-ws-click', 'save|draft|now');
+
+        const event = lib.document.dispatch('click', button);
+
+        if (socket.sent[0] !== 'save|draft|now') throw new Error(`Unexpected frame: ${socket.sent[0]}`);
+        if (!event.defaultPrevented) throw new Error('Button click default not prevented');
+        console.log('✅ data-ws-click sends its frame');
+    }
+
+    // Binding Test: Nested Targets
+    // JUSTIFICATION: Event delegation
+    // - Tests that clicks on descendants resolve to the bound ancestor
+    // - Ensures nodes inserted later by update/append are bound without rescanning
+    async testDelegatedClick() {
+        const { lib, socket } = this.setup();
+        const row = lib.addElement('row', 'TR');
+        row.setAttribute('data-ws-click', 'open|row|7');
+        const cell = lib.addElement('cell', 'TD');
+        cell.parentElement = row;
+
+        lib.document.dispatch('click', cell);
+
+        if (socket.sent[0] !== 'open|row|7') throw new Error('Delegated click not sent');
+        console.log('✅ Bindings are delegated to ancestors');
+    }
+
+    // Binding Test: Control Value as Subject
+    // JUSTIFICATION: Input bindings without page JavaScript
+    // - Tests that a binding without a subject sends the control value
+    // - Ensures the value is escaped so pipes survive the round trip
+    async testChangeSendsValue() {
+        const { lib, socket } = this.setup();
+        const input = lib.addElement('search', 'INPUT');
+        input.setAttribute('data-ws-input', 'search|results');
+        input.value = 'a|b';
+
+        lib.document.dispatch('input', input);
+
+        if (socket.sent[0] !== 'search|results|~a|b~') throw new Error(`Unexpected frame: ${socket.sent[0]}`);
+        console.log('✅ data-ws-input sends the control value');
+    }
+
+    // Binding Test: Submit Prevents Navigation
+    // JUSTIFICATION: Forms must not reload the page
+    // - Tests that data-ws-submit prevents the default navigation
+    async testSubmitPreventsDefault() {
+        const { lib, socket } = this.setup();
+        const form = lib.addElement('signup', 'FORM');
+        form.setAttribute('data-ws-submit', 'signup|signup|go');
+
+        const event = lib.document.dispatch('submit', form);
+
+        if (!event.defaultPrevented) throw new Error('Submit default not prevented');
+        if (socket.sent[0] !== 'signup|signup|go') throw new Error('Submit frame not sent');
+        console.log('✅ data-ws-submit prevents navigation');
+    }
+
+    // Binding Test: Opt-In and Cleanup
+    // JUSTIFICATION: No implicit data exposure
+    // - Tests that bindings are off by default
+    // - Ensures destroy() removes the document listeners
+    async testBindingsOptInAndDestroy() {
+        const disabled = this.setup({ enableBindings: 0 });
+        const button = disabled.lib.addElement('save', 'BUTTON');
+        button.setAttribute('data-ws-click', 'save|draft|now');
+        disabled.lib.document.dispatch('click', button);
+        if (disabled.socket.sent.length) throw new Error('Binding active while disabled');
+
+        const { lib, client, socket } = this.setup();
+        const other = lib.addElement('save', 'BUTTON');
+        other.setAttribute('data-ws-click', 'save|draft|now');
+        client.destroy();
+        lib.document.dispatch('click', other);
+        if (socket.sent.length) throw new Error('Binding active after destroy');
+        console.log('✅ Bindings are opt-in and removed by destroy()');
+    }
+}
+
+module.exports = BindingTests;
@@ -4,6 +4,7 @@
  */
 
 const WebSocket = require('ws');
+const { createClient } = require('./library-loader');
 
 class EscapeTests {
     constructor() {
@@ -120,6 +121,39 @@ class EscapeTests {
             }, 5000);
         });
     }
+    // Escape Test: Field Encoding Round Trip
+    // JUSTIFICATION: Every field must survive the protocol
+    // - Tests that createMessage and sendEscaped encode verb, noun, subject and options
+    // - Ensures literal escape characters and pipes round-trip through _parseMessage
+    // - Critical for user-typed content such as chat messages containing tildes
+    async testFieldEncodingRoundTrip() {
+        const { client: ws, socket } = createClient({}, { open: true });
+        const fields = ['say', 'chat~room', 'hi ~ there | ~~friend~', 'a|b', '~', ''];
+
+        const frame = ws.createMessage(...fields);
+        ws.sendEscaped(...fields);
+
+        for (const sent of [frame, socket.sent[0]]) {
+            const parsed = Array.from(ws._parseMessage(sent));
+            if (JSON.stringify(parsed) !== JSON.stringify(fields)) throw new Error(`Fields did not round-trip: ${sent}`);
+        }
+        if (ws.createMessage('update', 'content', '<p>Hi</p>', 'x') !== 'update|content|<p>Hi</p>|x') throw new Error('Plain fields should not be escaped');
+        console.log('✅ All fields round-trip through the parser');
+    }
+
+    // Escape Test: Literal Escape Character
+    // JUSTIFICATION: Documented escape sequence
+    // - Tests that a doubled escape character inside an escaped field is a literal one
+    // - Ensures the sequence follows a custom escapeChar
+    async testLiteralEscapeCharacter() {
+        const { lib, client: ws } = createClient({ escapeChar: '^' });
+        const content = lib.addElement('content');
+
+        await ws._handleMessage('update|content|^2^^3 = 8 | x ~ y^');
+
+        if (content.innerHTML !== '2^3 = 8 | x ~ y') throw new Error(`Unexpected content: ${content.innerHTML}`);
+        console.log('✅ Doubled escape characters are literal');
+    }
 }
 
 module.exports = EscapeTests; 
\ No newline at end of file
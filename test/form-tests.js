@@ -5,6 +5,7 @@
  */
 
 const WebSocket = require('ws');
+const { createClient } = require('./library-loader');
 
 class FormTests {
     constructor() {
@@ -846,6 +847,66 @@ class FormTests {
             }, 8000);
         });
     }
+
+    createSignupForm() {
+        const { lib, client, socket } = createClient({ enableBindings: 1 }, { open: true });
+        const form = lib.addElement('signup', 'FORM');
+        form.elements = [
+            { name: 'user', type: 'text', value: 'ada|l' },
+            { name: 'tags', type: 'select-multiple', selectedOptions: [{ value: 'a' }, { value: 'b' }] },
+            { name: 'news', type: 'checkbox', value: 'yes', checked: true },
+            { name: 'spam', type: 'checkbox', value: 'yes', checked: false },
+            { name: 'plan', type: 'radio', value: 'pro', checked: true },
+            { name: 'avatar', type: 'file', files: [{ name: 'me.png' }] },
+            { name: 'locked', type: 'text', value: 'x', disabled: true },
+            { name: 'go', type: 'submit', value: 'Send' }
+        ];
+        return { lib, client, form, socket };
+    }
+
+    // Form Test: URL-Encoded Serialization
+    // JUSTIFICATION: Outbound form submission
+    // - Tests serialization of text, multi-select, checkbox, radio and file controls
+    // - Ensures disabled, unchecked and button controls are skipped
+    // - Critical for submitting forms over the socket
+    async testSerializeFormUrlEncoded() {
+        const { client, form } = this.createSignupForm();
+        const data = client.serializeForm(form);
+        const expected = 'user=ada%7Cl&tags=a&tags=b&news=yes&plan=pro&avatar=me.png';
+
+        if (data !== expected) throw new Error(`Unexpected serialization: ${data}`);
+        console.log('✅ Form serializes as URL-encoded data');
+    }
+
+    // Form Test: JSON Serialization
+    // JUSTIFICATION: Selectable encoding
+    // - Tests JSON serialization with arrays for multi-selects
+    async testSerializeFormJson() {
+        const { client, form } = this.createSignupForm();
+        const data = JSON.parse(client.serializeForm(form, 'json'));
+
+        if (JSON.stringify(data.tags) !== '["a","b"]') throw new Error('Multi-select not serialized as array');
+        if (data.user !== 'ada|l' || data.plan !== 'pro' || data.avatar !== 'me.png') throw new Error('Unexpected JSON values');
+        if ('spam' in data || 'locked' in data || 'go' in data) throw new Error('Skipped controls serialized');
+        console.log('✅ Form serializes as JSON');
+    }
+
+    // Form Test: Submit Over the Socket
+    // JUSTIFICATION: First-class form round trip
+    // - Tests sendForm() escapes the serialized subject
+    // - Tests data-ws-submit without a subject serializes the form and prevents navigation
+    async testSendFormAndSubmitBinding() {
+        const { lib, client, form, socket } = this.createSignupForm();
+        client.sendForm(form, 'validate_form');
+        if (!socket.sent[0].startsWith('validate_form|signup|~user=ada%7Cl')) throw new Error(`Unexpected frame: ${socket.sent[0]}`);
+
+        form.setAttribute('data-ws-submit', 'process_form');
+        form.dataset.wsEncoding = 'json';
+        const event = lib.document.dispatch('submit', form);
+        if (!event.defaultPrevented) throw new Error('Submit default not prevented');
+        if (!socket.sent[1].startsWith('process_form|signup|~{"user":"ada|l"')) throw new Error(`Unexpected frame: ${socket.sent[1]}`);
+        console.log('✅ Forms submit over the socket');
+    }
 }
 
 module.exports = FormTests; 
\ No newline at end of file
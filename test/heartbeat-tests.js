@@ -0,0 +1,79 @@
+/**
+ * Heartbeat Tests for WebSocket Hypermedia
+ * Tests for application-level ping/pong, dead-connection detection and latency
+ */
+
+const { createClient } = require('./library-loader');
+const { WebSocketHypermediaServer } = require('../src/websocket-hypermedia-server');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class HeartbeatTests {
+    setup(options = {}) {
+        return createClient({ heartbeatInterval: 10, heartbeatTimeout: 15, reconnectDelay: 1, ...options }, { open: true });
+    }
+
+    // Heartbeat Test: Pings and Latency
+    // JUSTIFICATION: Core heartbeat support
+    // - Tests that ping frames carry a timestamp on the configured interval
+    // - Ensures the echoed pong sets latency and calls onLatency
+    async testPingAndLatency() {
+        const latencies = [];
+        const { lib, client, socket } = this.setup({ heartbeatTimeout: 200, onLatency: (ms) => latencies.push(ms) });
+        const server = new WebSocketHypermediaServer();
+        const serverSocket = { readyState: 1, sent: [], send(frame) { this.sent.push(frame); } };
+
+        await wait(15);
+        const [verb, noun, subject] = client._parseMessage(socket.sent[0] || '');
+        if (verb !== 'ping' || noun !== '' || !(Number(subject) > 0)) throw new Error(`Unexpected ping: ${socket.sent[0]}`);
+
+        await wait(5);
+        await server.handle(serverSocket, socket.sent[0]);
+        await socket.receive(serverSocket.sent[0]);
+
+        if (!(client.latency >= 5) || latencies[0] !== client.latency) throw new Error(`Latency not measured: ${client.latency}`);
+        if (lib.sockets.length !== 1) throw new Error('Live connection was closed');
+        client.destroy();
+        console.log('✅ Pings are sent and pongs measure latency');
+    }
+
+    // Heartbeat Test: Dead Connection
+    // JUSTIFICATION: Half-open connections never fire onclose
+    // - Tests that a missing pong closes the socket with code 4000
+    // - Ensures onDisconnect runs and the reconnect logic takes over
+    // - Critical for not leaving a stale DOM on screen
+    async testTimeoutClosesAndReconnects() {
+        const closes = [];
+        const { lib, client, socket } = this.setup({ onDisconnect: (event) => closes.push(event.code) });
+        socket.close = function (code) { this.closeCode = code; };
+
+        await wait(40);
+
+        if (socket.closeCode !== 4000 || closes[0] !== 4000) throw new Error(`Dead connection not closed: ${socket.closeCode}`);
+        if (lib.sockets.length !== 2) throw new Error('Reconnect not scheduled after heartbeat timeout');
+        client.destroy();
+        console.log('✅ Missing pongs close the connection and reconnect');
+    }
+
+    // Heartbeat Test: Any Frame Proves Liveness
+    // JUSTIFICATION: Busy connections should not be dropped
+    // - Tests that inbound frames other than pong clear the timeout
+    // - Ensures the heartbeat is off by default
+    async testTrafficKeepsAliveAndDefaults() {
+        const { lib, client, socket } = this.setup({ heartbeatTimeout: 30 });
+        lib.addElement('status');
+        for (let i = 0; i < 8; i++) {
+            await wait(5);
+            await socket.receive('update|status|<p>busy</p>');
+        }
+        if (socket.closeCode || lib.sockets.length !== 1) throw new Error('Busy connection was closed');
+        client.destroy();
+
+        const plain = this.setup({ heartbeatInterval: 0 });
+        await wait(30);
+        if (plain.socket.sent.length || plain.client.latency !== null) throw new Error('Heartbeat active by default');
+        console.log('✅ Inbound traffic keeps the connection alive and heartbeats are opt-in');
+    }
+}
+
+module.exports = HeartbeatTests;
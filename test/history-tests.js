@@ -0,0 +1,73 @@
+/**
+ * History Tests for WebSocket Hypermedia
+ * Tests for the pushUrl, replaceUrl and setTitle verbs and the popstate navigation hook
+ */
+
+const { createClient } = require('./library-loader');
+
+class HistoryTests {
+    // History Test: URL and Title Verbs
+    // JUSTIFICATION: Core server-driven navigation
+    // - Tests that pushUrl adds a history entry and replaceUrl replaces it
+    // - Ensures setTitle updates the document title
+    // - Critical for keeping the address bar in sync with server state
+    async testUrlAndTitleVerbs() {
+        const { lib, client } = createClient({}, { open: true });
+
+        await client._handleMessage('pushUrl||/inbox?page=2');
+        await client._handleMessage('replaceUrl||/inbox?page=3#top');
+        await client._handleMessage('setTitle||Inbox (3)');
+
+        if (lib.history.entries.join(',') !== 'push:/inbox?page=2,replace:/inbox?page=3#top') throw new Error(`Unexpected history: ${lib.history.entries}`);
+        if (lib.document.title !== 'Inbox (3)') throw new Error('Title not updated');
+        console.log('✅ pushUrl, replaceUrl and setTitle update history and title');
+    }
+
+    // History Test: Panel Swap with URL
+    // JUSTIFICATION: Real-world navigation use case
+    // - Tests that a batch can swap the main panel and push the URL together
+    async testBatchSwapAndPush() {
+        const { lib, client } = createClient({}, { open: true });
+        const main = lib.addElement('main');
+        const frame = client.createMessage('batch', '', 'update|main|<h1>Settings</h1>', 'pushUrl||/settings', 'setTitle||Settings');
+
+        await client._handleMessage(frame);
+
+        if (main.innerHTML !== '<h1>Settings</h1>') throw new Error('Panel not swapped');
+        if (lib.location.pathname !== '/settings' || lib.document.title !== 'Settings') throw new Error('URL or title not updated');
+        console.log('✅ Panel swap and URL push apply together');
+    }
+
+    // History Test: Cross-Origin URLs
+    // JUSTIFICATION: Robustness against hostile frames
+    // - Tests that a cross-origin URL is rejected without throwing or changing the location
+    async testCrossOriginUrlIgnored() {
+        const { lib, client } = createClient({}, { open: true });
+
+        await client._handleMessage('pushUrl||https://evil.example/login');
+
+        if (lib.history.entries.length || lib.location.origin !== 'http://localhost') throw new Error('Cross-origin URL applied');
+        console.log('✅ Cross-origin URLs are ignored');
+    }
+
+    // History Test: Back/Forward Navigation
+    // JUSTIFICATION: Browser navigation must reach the server
+    // - Tests that popstate sends navigateVerb with the current URL
+    // - Ensures the hook is opt-in and removed by destroy()
+    async testPopstateSendsNavigation() {
+        const disabled = createClient({}, { open: true });
+        disabled.lib.window.dispatch('popstate');
+        if (disabled.socket.sent.length) throw new Error('Navigation sent while disabled');
+
+        const { lib, client, socket } = createClient({ navigateVerb: 'navigate' }, { open: true });
+        lib.history.pushState(null, '', '/inbox?page=2');
+        lib.window.dispatch('popstate');
+        client.destroy();
+        lib.window.dispatch('popstate');
+
+        if (socket.sent.join(',') !== 'navigate||~/inbox?page=2~') throw new Error(`Unexpected frames: ${socket.sent}`);
+        console.log('✅ popstate sends a navigation frame');
+    }
+}
+
+module.exports = HistoryTests;
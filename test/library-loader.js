@@ -0,0 +1,377 @@
+/**
+ * Library Loader for WebSocket Hypermedia Tests
+ * Loads src/websocket-hypermedia.js and its add-ons into an isolated context with a minimal DOM and WebSocket stub
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const libraryPath = path.join(__dirname, '..', 'src', 'websocket-hypermedia.js');
+
+// Opt-in add-ons, run after the library like the <script> tags that follow it on a page
+const ADDONS = ['selectors', 'bindings', 'forms', 'queue', 'request', 'history', 'morph', 'sanitize', 'trusted-types', 'policy', 'signing', 'reporting', 'rate-limit', 'reconnect', 'heartbeat', 'resume', 'shared', 'topics', 'plugins'];
+const addonPath = (name) => path.join(__dirname, '..', 'src', `websocket-hypermedia-${name}.js`);
+
+const VOID_TAGS = new Set(['BR', 'HR', 'IMG', 'INPUT', 'LINK', 'META']);
+
+// Minimal node tree used by morph tests: childNodes, insertBefore and sibling navigation
+class FakeNode {
+    constructor() {
+        this.childNodes = [];
+        this.parentNode = null;
+    }
+
+    get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+    get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; }
+    get nextSibling() {
+        const siblings = this.parentNode?.childNodes || [];
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    insertBefore(node, ref) {
+        node.detach();
+        const i = ref ? this.childNodes.indexOf(ref) : -1;
+        this.childNodes.splice(i < 0 ? this.childNodes.length : i, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+
+    appendChild(node) { return this.insertBefore(node, null); }
+
+    detach() {
+        if (!this.parentNode) return;
+        this.parentNode.childNodes.splice(this.parentNode.childNodes.indexOf(this), 1);
+        this.parentNode = null;
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(text) {
+        super();
+        this.nodeType = 3;
+        this.nodeName = '#text';
+        this.nodeValue = text;
+    }
+
+    remove() { this.detach(); }
+}
+
+// Set with the DOMTokenList methods the library calls
+class FakeClassList extends Set {
+    remove(...tokens) { tokens.forEach(token => this.delete(token)); }
+    toggle(token, force = !this.has(token)) {
+        if (force) this.add(token);
+        else this.delete(token);
+        return Boolean(force);
+    }
+}
+
+// Web Animations handle with the play state transitions the library drives
+class FakeAnimation {
+    constructor(keyframes, options) {
+        this.keyframes = keyframes;
+        this.options = options;
+        this.playState = 'running';
+        this.currentTime = 0;
+    }
+
+    pause() { this.playState = 'paused'; }
+    play() { this.playState = 'running'; }
+    cancel() {
+        this.playState = 'idle';
+        this.currentTime = null;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(id = '', tagName = 'DIV') {
+        super();
+        this.nodeType = 1;
+        this.id = id;
+        this.tagName = tagName;
+        this.innerHTML = '';
+        this.value = '';
+        this.checked = false;
+        this.attributes = new Map();
+        this.classList = new FakeClassList();
+        this.style = {};
+        this.dataset = {};
+        this.events = [];
+        this.removed = false;
+        this.parentElement = null;
+    }
+
+    get nodeName() { return this.tagName; }
+    get localName() { return this.tagName.toLowerCase(); }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+        if (name === 'id') this.id = String(value);
+    }
+    getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+    getAttributeNames() { return [...this.attributes.keys()]; }
+    hasAttribute(name) { return this.attributes.has(name); }
+    removeAttribute(name) { this.attributes.delete(name); }
+    insertAdjacentHTML(position, html) { this.innerHTML = position === 'afterbegin' ? html + this.innerHTML : this.innerHTML + html; }
+    remove() {
+        this.removed = true;
+        this.detach();
+    }
+    dispatchEvent(event) { this.events.push(event); return true; }
+    animate(keyframes, options) { return new FakeAnimation(keyframes, options); }
+
+    closest(selector) {
+        let el = this;
+        while (el && !el.matches(selector)) el = el.parentElement;
+        return el;
+    }
+
+    querySelectorAll(selector) {
+        return this.children.flatMap(child => [...(child.matches(selector) ? [child] : []), ...child.querySelectorAll(selector)]);
+    }
+    querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+
+    // Supports selector lists of compound selectors made of tag, #id, .class and [attr] parts
+    matches(selector) {
+        if (selector.includes(',')) return selector.split(',').some(part => this.matches(part.trim()));
+        const parts = selector.match(/^[a-z]+|#[\w-]+|\.[\w-]+|\[[\w-]+\]/gi);
+        if (!parts || parts.join('') !== selector) throw new SyntaxError(`Unsupported selector: ${selector}`);
+        return parts.every(part => {
+            if (part[0] === '#') return this.id === part.slice(1);
+            if (part[0] === '.') return this.classList.has(part.slice(1));
+            if (part[0] === '[') return this.hasAttribute(part.slice(1, -1));
+            return this.tagName === part.toUpperCase();
+        });
+    }
+}
+
+// Parses the well-formed HTML used in tests into FakeElement/FakeText nodes
+function parseHTML(html, parent = new FakeElement('', '#document-fragment')) {
+    const stack = [parent];
+    for (const [token, close, tag, attrs, text] of html.matchAll(/<(\/?)([a-z0-9-]+)([^>]*)>|([^<]+)/gi)) {
+        const top = stack[stack.length - 1];
+        if (text !== undefined) top.appendChild(new FakeText(token));
+        else if (close) stack.pop();
+        else {
+            const el = top.appendChild(new FakeElement('', tag.toUpperCase()));
+            for (const [, name, value = ''] of attrs.matchAll(/([\w-]+)(?:="([^"]*)")?/g)) el.setAttribute(name, value);
+            if (!VOID_TAGS.has(el.tagName) && !attrs.endsWith('/')) stack.push(el);
+        }
+    }
+    return parent;
+}
+
+// Serializes a node tree back to HTML for assertions
+function serialize(node) {
+    if (node.nodeType === 3) return node.nodeValue;
+    const attrs = node.getAttributeNames().map(name => ` ${name}="${node.getAttribute(name)}"`).join('');
+    const tag = node.tagName.toLowerCase();
+    const inner = node.childNodes.map(serialize).join('');
+    return VOID_TAGS.has(node.tagName) ? `<${tag}${attrs}>` : `<${tag}${attrs}>${inner}</${tag}>`;
+}
+
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        this.constructor.instances?.push(this);
+    }
+
+    send(data) { this.sent.push(data); }
+
+    close(code = 1000) {
+        this.closeCode = code;
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose?.({ code });
+    }
+
+    // Test helpers simulating the server side of the connection
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen?.();
+    }
+
+    receive(data) { return this.onmessage?.({ data }); }
+}
+
+Object.assign(FakeWebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 });
+
+function createEventTarget() {
+    const listeners = new Map();
+    return {
+        addEventListener: (type, fn) => listeners.set(type, [...(listeners.get(type) || []), fn]),
+        removeEventListener: (type, fn) => listeners.set(type, (listeners.get(type) || []).filter(l => l !== fn)),
+        // Test helper dispatching a bubbling event from target to the registered listeners
+        dispatch(type, target) {
+            const event = { type, target, defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+            (listeners.get(type) || []).forEach(fn => fn(event));
+            return event;
+        }
+    };
+}
+
+// Stand-in for the browser TrustedHTML type produced by Trusted Types policies
+class TrustedHTML {
+    constructor(html) { this.html = html; }
+    toString() { return this.html; }
+}
+
+// Minimal window.trustedTypes recording created policies
+function createTrustedTypes() {
+    return {
+        policies: [],
+        createPolicy(name, rules) {
+            if (this.policies.includes(name)) throw new TypeError(`Policy ${name} already exists`);
+            this.policies.push(name);
+            return { name, createHTML: (html, ...args) => new TrustedHTML(rules.createHTML(html, ...args)) };
+        }
+    };
+}
+
+// In-memory BroadcastChannel and navigator.locks shared by every tab loaded with the same group
+function createTabGroup() {
+    const channels = new Set();
+    class BroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            channels.add(this);
+        }
+        postMessage(data) {
+            const copy = structuredClone(data);
+            for (const channel of channels) {
+                if (channel !== this && channel.name === this.name) setTimeout(() => channels.has(channel) && channel.onmessage?.({ data: copy }));
+            }
+        }
+        close() { channels.delete(this); }
+    }
+
+    const queues = new Map();
+    const locks = {
+        request(name, callback) {
+            if (!queues.has(name)) queues.set(name, []);
+            const queue = queues.get(name);
+            return new Promise((resolve) => {
+                const run = async () => {
+                    const result = await callback({ name });
+                    queue.shift();
+                    queue[0]?.();
+                    resolve(result);
+                };
+                queue.push(run);
+                if (queue.length === 1) run();
+            });
+        }
+    };
+    return { BroadcastChannel, locks };
+}
+
+// options.trustedTypes exposes window.trustedTypes to the library
+// options.tabs (from createTabGroup) exposes BroadcastChannel and navigator.locks
+function loadLibrary(options = {}) {
+    const elements = new Map();
+    const sockets = [];
+    const Socket = class extends FakeWebSocket {};
+    Socket.instances = sockets;
+
+    const storage = new Map();
+    const sessionStorage = {
+        getItem: (key) => storage.has(key) ? storage.get(key) : null,
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: (key) => storage.delete(key)
+    };
+    const document = {
+        ...createEventTarget(),
+        title: '',
+        visibilityState: 'visible',
+        documentElement: new FakeElement('', 'HTML'),
+        createElement: (tagName) => tagName.toUpperCase() === 'TEMPLATE'
+            ? {
+                set innerHTML(html) { this.content = parseHTML(String(html)); },
+                get innerHTML() { return this.content.childNodes.map(serialize).join(''); }
+            }
+            : new FakeElement('', tagName.toUpperCase()),
+        getElementById: (id) => {
+            const el = elements.get(id);
+            return el && !el.removed ? el : null;
+        },
+        querySelectorAll: (selector) => [...elements.values()].filter(el => !el.removed && el.matches(selector)),
+        querySelector: (selector) => document.querySelectorAll(selector)[0] || null
+    };
+
+    const location = new URL('http://localhost/');
+    const history = {
+        entries: [],
+        pushState(state, title, url) { this.go(url, 'push'); },
+        replaceState(state, title, url) { this.go(url, 'replace'); },
+        go(url, mode) {
+            const next = new URL(url, location.href);
+            if (next.origin !== location.origin) throw new Error('SecurityError: cross-origin history URL');
+            location.href = next.href;
+            this.entries.push(`${mode}:${location.pathname}${location.search}${location.hash}`);
+        }
+    };
+    const window = { ...createEventTarget(), history, location };
+    if (options.trustedTypes) window.trustedTypes = createTrustedTypes();
+    const tabs = options.tabs ? { BroadcastChannel: options.tabs.BroadcastChannel, navigator: { locks: options.tabs.locks } } : {};
+    Object.assign(window, tabs);
+
+    const context = vm.createContext({
+        WebSocket: Socket,
+        document,
+        window,
+        history,
+        location,
+        sessionStorage,
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        crypto: globalThis.crypto,
+        Event: class { constructor(type, init) { this.type = type; Object.assign(this, init); } },
+        ...tabs
+    });
+
+    const source = fs.readFileSync(libraryPath, 'utf8');
+    const WebSocketHypermedia = vm.runInContext(`${source}\n;WebSocketHypermedia`, context);
+    ADDONS.forEach(name => vm.runInContext(fs.readFileSync(addonPath(name), 'utf8'), context));
+
+    return {
+        WebSocketHypermedia,
+        document,
+        window,
+        history,
+        location,
+        sessionStorage,
+        sockets,
+        addElement(id, tagName) {
+            const el = new FakeElement(id, tagName);
+            elements.set(id, el);
+            return el;
+        },
+        // Registers an element whose children are parsed from html, returning the element
+        addTree(id, html) {
+            const el = this.addElement(id);
+            parseHTML(html, el);
+            return el;
+        },
+        serialize,
+        TrustedHTML
+    };
+}
+
+// Creates a client with logging off, on setup.lib or a fresh library
+// setup.open opens the client's socket; socket is the last socket created, if any
+function createClient(options = {}, { lib = loadLibrary(), open = false } = {}) {
+    const client = new lib.WebSocketHypermedia('ws://localhost:8765', { enableLogging: 0, ...options });
+    const socket = lib.sockets[lib.sockets.length - 1];
+    if (open) socket.open();
+    return { lib, client, socket };
+}
+
+module.exports = { loadLibrary, createClient, createTabGroup, FakeElement, parseHTML, serialize, TrustedHTML };
@@ -0,0 +1,103 @@
+/**
+ * Middleware Tests for WebSocket Hypermedia
+ * Tests for the ordered inbound, post and outbound middleware pipeline
+ */
+
+const { createClient } = require('./library-loader');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MiddlewareTests {
+    // Middleware Test: Inbound Transform and Veto
+    // JUSTIFICATION: Core inbound pipeline
+    // - Tests that inbound middlewares run in order on the parsed frame
+    // - Ensures a returned frame replaces the original and false vetoes it
+    async testInboundTransformAndVeto() {
+        const { lib, client } = createClient({}, { open: true });
+        const content = lib.addElement('content');
+        const order = [];
+
+        client.addMiddleware('inbound', (frame) => { order.push('first'); return { ...frame, subject: frame.subject.toUpperCase() }; })
+            .addMiddleware('inbound', (frame) => {
+                order.push('second');
+                if (frame.verb === 'remove') return false;
+            });
+
+        await client._handleMessage('update|content|hello');
+        await client._handleMessage('remove|content|');
+
+        if (content.innerHTML !== 'HELLO' || content.removed) throw new Error('Transform or veto not applied');
+        if (order.join(',') !== 'first,second,first,second') throw new Error(`Unexpected order: ${order}`);
+        console.log('✅ Inbound middlewares transform and veto frames in order');
+    }
+
+    // Middleware Test: Deferred Frames
+    // JUSTIFICATION: Middlewares may wait before applying a frame
+    // - Tests that an async inbound middleware delays processing
+    // - Ensures post hooks receive the frame and the affected elements
+    async testDeferAndPostHooks() {
+        const { lib, client, socket } = createClient({}, { open: true });
+        const content = lib.addElement('content');
+        const seen = [];
+        let release;
+        client.addMiddleware('inbound', () => new Promise(resolve => { release = resolve; }));
+        client.addMiddleware('post', (frame, elements) => seen.push(`${frame.verb}:${elements.map(el => el.id)}`));
+
+        const pending = socket.receive('update|content|<p>Later</p>');
+        await wait(5);
+        if (content.innerHTML) throw new Error('Deferred frame applied early');
+        release();
+        await pending;
+
+        if (content.innerHTML !== '<p>Later</p>' || seen.join(',') !== 'update:content') throw new Error(`Unexpected post hooks: ${seen}`);
+        console.log('✅ Frames can be deferred and post hooks see affected elements');
+    }
+
+    // Middleware Test: Outbound and Removal
+    // JUSTIFICATION: Cross-cutting concerns on sent frames
+    // - Tests that outbound middlewares rewrite or drop frames around send()
+    // - Ensures removeMiddleware() detaches a middleware and unknown stages throw
+    async testOutboundAndRemoval() {
+        const { client, socket } = createClient({}, { open: true });
+        const tag = (frame) => `${frame}|csrf=abc`;
+        client.addMiddleware('outbound', tag);
+        client.addMiddleware('outbound', (frame) => {
+            if (frame.startsWith('debug')) return false;
+        });
+
+        client.sendEscaped('save', 'doc', 'x');
+        client.send('debug||y');
+        client.removeMiddleware('outbound', tag);
+        client.send('plain||z');
+
+        if (socket.sent.join(',') !== 'save|doc|~x~|csrf=abc,plain||z') throw new Error(`Unexpected frames: ${socket.sent}`);
+        let threw = false;
+        try { client.addMiddleware('before', () => {}); } catch { threw = true; }
+        if (!threw) throw new Error('Unknown stage accepted');
+        console.log('✅ Outbound middlewares rewrite and drop frames');
+    }
+
+    // Middleware Test: Batch Sub-Messages
+    // JUSTIFICATION: Batched operations must not bypass the pipeline
+    // - Tests that every sub-message of a batch passes the inbound and post middlewares
+    // - Ensures a vetoed sub-message is skipped while the others still apply
+    async testBatchSubMessages() {
+        const { lib, client } = createClient({}, { open: true });
+        const title = lib.addElement('title');
+        const count = lib.addElement('count');
+        const seen = [];
+        client.addMiddleware('inbound', (frame) => {
+            if (frame.noun === 'count') return false;
+            if (frame.verb === 'update') return { ...frame, subject: frame.subject.toUpperCase() };
+        });
+        client.addMiddleware('post', (frame, elements) => seen.push(`${frame.verb}:${elements.map(el => el.id)}`));
+
+        await client._handleMessage('batch||~update|title|draft~|~update|count|3~');
+
+        if (title.innerHTML !== 'DRAFT' || count.innerHTML) throw new Error('Batch sub-messages bypassed inbound middlewares');
+        if (seen.join(',') !== 'update:title,batch:') throw new Error(`Unexpected post hooks: ${seen}`);
+        console.log('✅ Batch sub-messages pass the inbound and post middlewares');
+    }
+}
+
+module.exports = MiddlewareTests;
@@ -0,0 +1,83 @@
+/**
+ * Morph Tests for WebSocket Hypermedia
+ * Tests for the morph verb and morph option that patch the live DOM instead of replacing it
+ */
+
+const { createClient } = require('./library-loader');
+
+class MorphTests {
+    // Morph Test: Form Re-render Keeps User State
+    // JUSTIFICATION: Core morphing use case
+    // - Tests that a re-rendered form keeps the live input node and its typed value
+    // - Ensures new validation messages are inserted around existing controls
+    // - Ensures a <details> opened by the user stays open
+    async testMorphPreservesFormState() {
+        const { lib, client } = createClient();
+        const form = lib.addTree('signup', '<input name="email" value=""><details><summary>Help</summary></details>');
+        const [input, details] = form.children;
+        input.value = 'ada@exa';
+        details.setAttribute('open', '');
+
+        await client._handleMessage('morph|signup|<p class="error">Invalid email</p><input name="email" value="" class="invalid"><details><summary>Help</summary></details>');
+
+        if (form.children[1] !== input || form.children[2] !== details) throw new Error('Live nodes were replaced');
+        if (input.value !== 'ada@exa') throw new Error('Typed value lost');
+        if (input.getAttribute('class') !== 'invalid') throw new Error('Attribute not patched');
+        if (!details.hasAttribute('open')) throw new Error('Open <details> closed');
+        if (lib.serialize(form.children[0]) !== '<p class="error">Invalid email</p>') throw new Error('Message not inserted');
+        console.log('✅ Morph keeps form state while applying changes');
+    }
+
+    // Morph Test: Keyed Children
+    // JUSTIFICATION: Lists reorder without recreating rows
+    // - Tests that children are matched by id across reorders
+    // - Ensures missing ids are removed and new ids are inserted
+    async testMorphKeyedReorder() {
+        const { lib, client } = createClient();
+        const list = lib.addTree('list', '<li id="a">A</li><li id="b">B</li><li id="c">C</li>');
+        const [a, , c] = list.children;
+
+        await client._handleMessage('morph|list|<li id="c">C!</li><li id="d">D</li><li id="a">A</li>');
+
+        const order = list.children.map(li => li.id).join(',');
+        if (order !== 'c,d,a') throw new Error(`Unexpected order: ${order}`);
+        if (list.children[0] !== c || list.children[2] !== a) throw new Error('Keyed nodes were recreated');
+        if (c.childNodes[0].nodeValue !== 'C!') throw new Error('Text not patched');
+        console.log('✅ Morph matches children by id');
+    }
+
+    // Morph Test: Attribute and Text Sync
+    // JUSTIFICATION: Morph output must match the incoming HTML
+    // - Tests that stale attributes are removed and trailing nodes dropped
+    async testMorphSyncsAttributesAndText() {
+        const { lib, client } = createClient();
+        const box = lib.addTree('box', '<span class="old" title="x">Hi</span><b>extra</b>');
+
+        await client._handleMessage('morph|box|<span class="new">Hello</span>');
+
+        const html = box.childNodes.map(lib.serialize).join('');
+        if (html !== '<span class="new">Hello</span>') throw new Error(`Unexpected result: ${html}`);
+        console.log('✅ Morph syncs attributes, text and removals');
+    }
+
+    // Morph Test: Update Option
+    // JUSTIFICATION: Opt-in for existing update frames
+    // - Tests that the morph option makes update morph
+    // - Ensures update keeps using innerHTML by default
+    async testUpdateMorphOption() {
+        const plain = createClient();
+        const content = plain.lib.addElement('content');
+        await plain.client._handleMessage('update|content|<p>Hi</p>');
+        if (content.innerHTML !== '<p>Hi</p>') throw new Error('Default update changed');
+
+        const { lib, client } = createClient({ morph: 1 });
+        const panel = lib.addTree('panel', '<p id="msg">Old</p>');
+        const msg = panel.children[0];
+        await client._handleMessage('update|panel|<p id="msg">New</p>');
+
+        if (panel.children[0] !== msg || msg.childNodes[0].nodeValue !== 'New') throw new Error('Update did not morph');
+        console.log('✅ morph option makes update morph');
+    }
+}
+
+module.exports = MorphTests;
@@ -0,0 +1,93 @@
+/**
+ * Plugin Tests for WebSocket Hypermedia
+ * Tests for WebSocketHypermedia.use() bundling namespaced verbs, middleware, options and hooks
+ */
+
+const { loadLibrary, createClient } = require('./library-loader');
+
+class PluginTests {
+    // Loads a fresh library, registers the plugins and creates an open client
+    setup(plugins, options = {}) {
+        const lib = loadLibrary();
+        plugins.forEach(plugin => lib.WebSocketHypermedia.use(plugin));
+        return createClient(options, { lib, open: true });
+    }
+
+    // Plugin Test: Namespaced Verbs
+    // JUSTIFICATION: Core plugin registration
+    // - Tests that actions, argument adapters and global verbs are registered as name.verb
+    // - Ensures the bare verb is not registered
+    async testNamespacedVerbs() {
+        const toasts = [];
+        const chart = {
+            name: 'chart',
+            actions: { draw: (el, data, type) => { el.innerHTML = `${type}:${data}`; } },
+            specialVerbs: { draw: (action, el, subject, options) => action(el, subject, options[0] || 'line') }
+        };
+        const toast = { name: 'toast', globalVerbs: { show: (subject) => toasts.push(subject) } };
+        const { lib, client } = this.setup([chart, toast]);
+        const sales = lib.addElement('sales');
+
+        await client._handleMessage('chart.draw|sales|1,2,3|bar');
+        await client._handleMessage('toast.show||Saved');
+        await client._handleMessage('draw|sales|4,5,6');
+
+        if (sales.innerHTML !== 'bar:1,2,3') throw new Error(`Plugin action not applied: ${sales.innerHTML}`);
+        if (toasts.join(',') !== 'Saved') throw new Error('Plugin global verb not applied');
+        console.log('✅ Plugin verbs are registered under their namespace');
+    }
+
+    // Plugin Test: Options, Middleware and Lifecycle Hooks
+    // JUSTIFICATION: Plugins bundle everything they need
+    // - Tests that plugin options are defaults the constructor options override
+    // - Ensures plugin middlewares are installed
+    // - Ensures init, connect, disconnect and destroy hooks receive the instance
+    async testOptionsMiddlewareAndHooks() {
+        const calls = [];
+        const plugin = {
+            name: 'audit',
+            options: { auditLevel: 'basic', auditSink: 'console' },
+            middleware: { outbound: (frame) => `${frame}|audited=1`, post: [(frame) => calls.push(`post:${frame.verb}`)] },
+            init: (ws) => calls.push(`init:${ws.o.auditLevel}`),
+            connect: () => calls.push('connect'),
+            disconnect: (ws, event) => calls.push(`disconnect:${event.code}`),
+            destroy: (ws) => calls.push(`destroy:${ws.o.auditSink}`)
+        };
+        const { lib, client, socket } = this.setup([plugin], { auditLevel: 'full' });
+        lib.addElement('content');
+
+        await client._handleMessage('update|content|x');
+        client.send('save||1');
+        client.destroy();
+
+        if (socket.sent[0] !== 'save||1|audited=1') throw new Error(`Plugin middleware not installed: ${socket.sent}`);
+        if (calls.join(',') !== 'init:full,connect,post:update,destroy:console,disconnect:1000') throw new Error(`Unexpected hooks: ${calls}`);
+        console.log('✅ Plugin options, middleware and lifecycle hooks are applied');
+    }
+
+    // Plugin Test: Collisions
+    // JUSTIFICATION: Namespaces must stay unique
+    // - Tests that duplicate and invalid plugin names throw
+    // - Ensures two plugins may use the same verb name in their own namespaces
+    async testNameCollisions() {
+        const lib = loadLibrary();
+        const { WebSocketHypermedia } = lib;
+        const shown = [];
+        WebSocketHypermedia.use({ name: 'toast', globalVerbs: { show: (s) => shown.push(`toast:${s}`) } })
+            .use({ name: 'modal', globalVerbs: { show: (s) => shown.push(`modal:${s}`) } });
+
+        for (const plugin of [{ name: 'toast' }, { name: 'chart.v2' }, {}]) {
+            let threw = false;
+            try { WebSocketHypermedia.use(plugin); } catch { threw = true; }
+            if (!threw) throw new Error(`Plugin accepted: ${JSON.stringify(plugin)}`);
+        }
+
+        const { client } = createClient({}, { lib });
+        await client._handleMessage('toast.show||a');
+        await client._handleMessage('modal.show||b');
+        if (shown.join(',') !== 'toast:a,modal:b' || WebSocketHypermedia.plugins.length !== 2) throw new Error(`Unexpected dispatch: ${shown}`);
+        console.log('✅ Plugin names are unique namespaces');
+    }
+}
+
+module.exports = PluginTests;
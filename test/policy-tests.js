@@ -0,0 +1,101 @@
+/**
+ * Verb Policy Tests for WebSocket Hypermedia
+ * Tests for verb allow/deny lists and per-verb rules enforced before actions run
+ */
+
+const { createClient } = require('./library-loader');
+
+class PolicyTests {
+    setup(options = {}) {
+        const violations = [];
+        const { lib, client } = createClient({ onSecurityViolation: (violation) => violations.push(`${violation.verb}:${violation.reason}`), ...options });
+        return { lib, client, violations };
+    }
+
+    // Policy Test: Verb Allow and Deny Lists
+    // JUSTIFICATION: Core policy layer
+    // - Tests that verbs outside allowVerbs are refused
+    // - Ensures denyVerbs refuses verbs even when allowed
+    // - Ensures violations reach onSecurityViolation
+    async testVerbAllowAndDenyLists() {
+        const { lib, client, violations } = this.setup({ allowVerbs: ['update', 'remove'], denyVerbs: ['remove'] });
+        const content = lib.addElement('content');
+
+        await client._handleMessage('update|content|<p>ok</p>');
+        await client._handleMessage('append|content|<p>extra</p>');
+        await client._handleMessage('remove|content|');
+
+        if (content.innerHTML !== '<p>ok</p>' || content.removed) throw new Error('Refused verb was applied');
+        if (violations.join(',') !== 'append:verb,remove:verb') throw new Error(`Unexpected violations: ${violations}`);
+        console.log('✅ Verb allow and deny lists are enforced');
+    }
+
+    // Policy Test: Attribute, Style and Event Rules
+    // JUSTIFICATION: Per-verb constraints on the subject
+    // - Tests that setAttr deny rules block href, src and on* (case-insensitively)
+    // - Ensures setStyle and trigger are limited to their allow-lists
+    async testSubjectRules() {
+        const { lib, client, violations } = this.setup({
+            verbRules: {
+                setAttr: { deny: ['href', 'src', /^on/i] },
+                setStyle: { allow: ['color', 'display'] },
+                trigger: { allow: ['refresh'] }
+            }
+        });
+        const el = lib.addElement('el');
+
+        for (const frame of ['setAttr|el|HREF|javascript:x', 'setAttr|el|onclick|x()', 'setAttr|el|title|ok',
+            'setStyle|el|position|fixed', 'setStyle|el|color|red', 'trigger|el|submit|', 'trigger|el|refresh|']) {
+            await client._handleMessage(frame);
+        }
+
+        if (el.getAttributeNames().join(',') !== 'title') throw new Error(`Unexpected attributes: ${el.getAttributeNames()}`);
+        if (el.style.position || el.style.color !== 'red') throw new Error('Style rule not enforced');
+        if (el.events.map(event => event.type).join(',') !== 'refresh') throw new Error('Event rule not enforced');
+        if (violations.length !== 4 || !violations.every(v => v.endsWith(':rule'))) throw new Error(`Unexpected violations: ${violations}`);
+        console.log('✅ Per-verb subject rules are enforced');
+    }
+
+    // Policy Test: Element and Function Rules
+    // JUSTIFICATION: Per-verb element constraints
+    // - Tests that nouns limits which elements a verb may touch
+    // - Ensures a function rule can decide with full frame context
+    async testNounAndFunctionRules() {
+        const { lib, client, violations } = this.setup({
+            verbRules: {
+                update: { nouns: ['content', /^widget-/] },
+                addClass: (noun, subject) => subject !== 'admin'
+            }
+        });
+        const content = lib.addElement('content');
+        const widget = lib.addElement('widget-1');
+        const nav = lib.addElement('nav');
+
+        await client._handleMessage('update|content|A');
+        await client._handleMessage('update|widget-1|B');
+        await client._handleMessage('update|nav|C');
+        await client._handleMessage('addClass|nav|admin');
+        await client._handleMessage('addClass|nav|open');
+
+        if (content.innerHTML !== 'A' || widget.innerHTML !== 'B' || nav.innerHTML) throw new Error('Noun rule not enforced');
+        if ([...nav.classList].join(',') !== 'open') throw new Error('Function rule not enforced');
+        if (violations.join(',') !== 'update:rule,addClass:rule') throw new Error(`Unexpected violations: ${violations}`);
+        console.log('✅ Element and function rules are enforced');
+    }
+
+    // Policy Test: Batches
+    // JUSTIFICATION: Policy must not break atomicity
+    // - Tests that a batch with one refused sub-message applies nothing
+    async testBatchRefusedAtomically() {
+        const { lib, client } = this.setup({ denyVerbs: ['remove'] });
+        const content = lib.addElement('content');
+        const old = lib.addElement('old');
+
+        await client._handleMessage(client.createMessage('batch', '', 'update|content|A', 'remove|old|'));
+
+        if (content.innerHTML || old.removed) throw new Error('Batch partially applied');
+        console.log('✅ Batches with refused verbs are dropped whole');
+    }
+}
+
+module.exports = PolicyTests;
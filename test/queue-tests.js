@@ -0,0 +1,95 @@
+/**
+ * Offline Queue Tests for WebSocket Hypermedia
+ * Tests for buffering outbound frames while disconnected and replaying them on reconnect
+ */
+
+const { loadLibrary, createClient } = require('./library-loader');
+
+class QueueTests {
+    setup(options = {}, lib = loadLibrary()) {
+        return createClient({ queueOffline: 1, ...options }, { lib });
+    }
+
+    // Queue Test: Replay in Order
+    // JUSTIFICATION: Core offline queue functionality
+    // - Tests that frames sent while disconnected are buffered
+    // - Ensures they are flushed in order once the socket opens
+    // - Critical for user actions during the reconnect window
+    async testQueueReplaysInOrder() {
+        const { client, socket } = this.setup();
+
+        client.send('click|a|1');
+        client.send('click|b|2');
+        if (socket.sent.length) throw new Error('Frames sent before open');
+
+        socket.open();
+        if (socket.sent.join(',') !== 'click|a|1,click|b|2') throw new Error(`Unexpected replay: ${socket.sent}`);
+        if (client.queue.length) throw new Error('Queue not emptied after flush');
+        console.log('✅ Queued frames replay in order');
+    }
+
+    // Queue Test: Size Limit
+    // JUSTIFICATION: Bounded memory usage
+    // - Tests that the oldest frames are dropped beyond maxQueueSize
+    // - Ensures dropped frames are reported through onQueueExpired
+    async testQueueSizeLimit() {
+        const dropped = [];
+        const { client, socket } = this.setup({ maxQueueSize: 2, onQueueExpired: (frames) => dropped.push(...frames) });
+
+        ['one', 'two', 'three'].forEach(frame => client.send(frame));
+        socket.open();
+
+        if (socket.sent.join(',') !== 'two,three') throw new Error(`Unexpected replay: ${socket.sent}`);
+        if (dropped.join(',') !== 'one') throw new Error(`Unexpected dropped frames: ${dropped}`);
+        console.log('✅ Queue respects maxQueueSize');
+    }
+
+    // Queue Test: TTL Expiry
+    // JUSTIFICATION: Stale actions must not be replayed
+    // - Tests that frames older than queueTTL are expired instead of sent
+    async testQueueTtlExpiry() {
+        const expired = [];
+        const { client, socket } = this.setup({ queueTTL: 1000, onQueueExpired: (frames) => expired.push(...frames) });
+
+        client.send('old');
+        client.queue[0].t -= 5000;
+        client.send('fresh');
+        socket.open();
+
+        if (socket.sent.join(',') !== 'fresh') throw new Error(`Unexpected replay: ${socket.sent}`);
+        if (expired.join(',') !== 'old') throw new Error(`Unexpected expired frames: ${expired}`);
+        console.log('✅ Expired frames are reported, not sent');
+    }
+
+    // Queue Test: Session Persistence
+    // JUSTIFICATION: Survive page reloads during an outage
+    // - Tests that persistQueue stores frames in sessionStorage
+    // - Ensures a new instance replays the persisted frames
+    async testQueuePersistence() {
+        const lib = loadLibrary();
+        const first = this.setup({ persistQueue: 1 }, lib);
+        first.client.send('saved|frame|1');
+
+        const second = this.setup({ persistQueue: 1 }, lib);
+        second.socket.open();
+
+        if (second.socket.sent.join(',') !== 'saved|frame|1') throw new Error('Persisted frame not replayed');
+        if (lib.sessionStorage.getItem('wshm-queue:ws://localhost:8765') !== '[]') throw new Error('Persisted queue not cleared');
+        console.log('✅ Queue persists to sessionStorage');
+    }
+
+    // Queue Test: Disabled by Default
+    // JUSTIFICATION: Backward compatibility
+    // - Tests that frames are still dropped when queueOffline is off
+    async testQueueDisabledByDefault() {
+        const { client, socket } = this.setup({ queueOffline: 0 });
+
+        client.send('dropped');
+        socket.open();
+
+        if (socket.sent.length || client.queue.length) throw new Error('Frame queued while disabled');
+        console.log('✅ Queue is disabled by default');
+    }
+}
+
+module.exports = QueueTests;
@@ -0,0 +1,117 @@
+/**
+ * Rate Limit Tests for WebSocket Hypermedia
+ * Tests for the inbound token-bucket limiter and flood protection
+ */
+
+const { createClient } = require('./library-loader');
+
+class RateLimitTests {
+    setup(options = {}) {
+        const events = [];
+        const { lib, client, socket } = createClient({ onSecurityEvent: (event) => events.push(event), ...options }, { open: true });
+        return { lib, client, socket, events };
+    }
+
+    // Rate Limit Test: Global Bucket
+    // JUSTIFICATION: Core flood protection
+    // - Tests that frames beyond the burst are dropped
+    // - Ensures every dropped frame emits RATE_LIMITED
+    // - Critical for keeping a compromised server from freezing the page
+    async testGlobalLimitDrops() {
+        const { lib, client, events } = this.setup({ rateLimit: 3 });
+        const log = lib.addElement('log');
+
+        for (const n of ['1', '2', '3', '4', '5']) await client._handleMessage(`append|log|${n}`);
+
+        if (log.innerHTML !== '123') throw new Error(`Excess frames applied: ${log.innerHTML}`);
+        if (events.map(event => event.code).join(',') !== 'RATE_LIMITED,RATE_LIMITED') throw new Error('Dropped frames not recorded');
+        if (events[0].detail.verb !== 'append' || events[0].detail.noun !== 'log') throw new Error('Event detail missing');
+        console.log('✅ Global rate limit drops excess frames');
+    }
+
+    // Rate Limit Test: Per-Verb Buckets
+    // JUSTIFICATION: Expensive verbs need tighter limits
+    // - Tests that a verb limit applies only to that verb
+    async testPerVerbLimits() {
+        const { lib, client } = this.setup({ verbRateLimits: { append: 1 } });
+        const log = lib.addElement('log');
+        const content = lib.addElement('content');
+
+        for (const frame of ['append|log|a', 'append|log|b', 'update|content|1', 'update|content|2']) await client._handleMessage(frame);
+
+        if (log.innerHTML !== 'a' || content.innerHTML !== '2') throw new Error(`Unexpected state: ${log.innerHTML} ${content.innerHTML}`);
+        console.log('✅ Per-verb limits only apply to their verb');
+    }
+
+    // Rate Limit Test: Coalescing
+    // JUSTIFICATION: Streams of updates should settle on the latest state
+    // - Tests that excess frames per verb and element are collapsed to the latest
+    // - Ensures the latest frame is applied once a token is available
+    async testCoalesceAppliesLatest() {
+        const { lib, client } = this.setup({ rateLimit: 50, verbRateLimits: { update: 1 }, rateLimitMode: 'coalesce' });
+        const content = lib.addElement('content');
+
+        for (const n of ['1', '2', '3', '4']) await client._handleMessage(`update|content|${n}`);
+        if (content.innerHTML !== '1') throw new Error('Excess frame applied immediately');
+
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        if (content.innerHTML !== '4') throw new Error(`Latest frame not applied: ${content.innerHTML}`);
+        console.log('✅ Coalescing applies the latest frame');
+    }
+
+    // Rate Limit Test: Sustained Abuse
+    // JUSTIFICATION: Optional disconnect from a flooding server
+    // - Tests that the connection closes with 1008 after maxRateViolations in a row
+    // - Ensures the limiter is off by default
+    async testCloseAfterViolations() {
+        const { client, socket } = this.setup({ rateLimit: 1, maxRateViolations: 3, autoReconnect: 0 });
+        for (const n of ['1', '2', '3']) await client._handleMessage(`update|content|${n}`);
+        if (socket.closeCode) throw new Error('Closed too early');
+        await client._handleMessage('update|content|4');
+        if (socket.closeCode !== 1008) throw new Error(`Expected close 1008, got ${socket.closeCode}`);
+
+        const plain = this.setup();
+        const log = plain.lib.addElement('log');
+        for (let i = 0; i < 100; i++) await plain.client._handleMessage('append|log|x');
+        if (log.innerHTML.length !== 100 || plain.events.length) throw new Error('Limiter active by default');
+        console.log('✅ Sustained abuse closes the connection and limiting is opt-in');
+    }
+
+    // Rate Limit Test: Prototype Keys as Verbs
+    // JUSTIFICATION: Verbs come from the wire
+    // - Tests that __proto__ and constructor verbs do not write bucket state onto Object.prototype
+    // - Ensures this holds with the limiter off and on
+    async testPrototypeVerbs() {
+        for (const options of [{}, { rateLimit: 5, verbRateLimits: { update: 2 } }]) {
+            const { lib, client } = this.setup(options);
+            const content = lib.addElement('content');
+            const objectPrototype = Object.getPrototypeOf(lib.WebSocketHypermedia.prototype);
+
+            for (const frame of ['__proto__|a|b', 'constructor|a|b', 'update|content|ok']) await client._handleMessage(frame);
+
+            if (Object.keys(objectPrototype).length) throw new Error(`Object.prototype polluted: ${Object.keys(objectPrototype)}`);
+            if (content.innerHTML !== 'ok') throw new Error('Later frame not applied');
+        }
+        console.log('✅ Prototype keys as verbs leave Object.prototype untouched');
+    }
+
+    // Rate Limit Test: Batch Sub-Messages
+    // JUSTIFICATION: A batch must not smuggle frames past the limits
+    // - Tests that every sub-message takes a token from the global and per-verb buckets
+    // - Ensures a batch that would exceed a bucket is dropped whole
+    async testBatchSubMessages() {
+        const { lib, client, events } = this.setup({ rateLimit: 4, verbRateLimits: { append: 2 } });
+        const log = lib.addElement('log');
+        const content = lib.addElement('content');
+
+        await client._handleMessage('batch||~append|log|a~|~append|log|b~|~append|log|c~');
+        await client._handleMessage('batch||~append|log|a~|~update|content|1~');
+        await client._handleMessage('batch||~update|content|2~|~update|content|3~');
+
+        if (log.innerHTML !== 'a' || content.innerHTML !== '1') throw new Error(`Unexpected state: ${log.innerHTML} ${content.innerHTML}`);
+        if (events.map(event => `${event.code}:${event.detail.verb}`).join(',') !== 'RATE_LIMITED:batch,RATE_LIMITED:batch') throw new Error('Limited batches not recorded');
+        console.log('✅ Batch sub-messages are charged against every bucket');
+    }
+}
+
+module.exports = RateLimitTests;
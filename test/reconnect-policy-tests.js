@@ -0,0 +1,115 @@
+/**
+ * Reconnect Policy Tests for WebSocket Hypermedia
+ * Tests for capped, jittered and custom reconnect strategies and their events
+ */
+
+const { createClient } = require('./library-loader');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ReconnectPolicyTests {
+    setup(options = {}) {
+        const events = [];
+        const { lib, client } = createClient({
+            reconnectDelay: 1,
+            onReconnecting: (event) => events.push(['reconnecting', event]),
+            onReconnected: (event) => events.push(['reconnected', event]),
+            onGaveUp: (event) => events.push(['gaveUp', event]),
+            ...options
+        });
+        return { lib, client, events };
+    }
+
+    // Fails each new socket while it connects until more than count sockets exist
+    async failSockets(lib, count) {
+        for (let i = 0; i < 50 && lib.sockets.length <= count; i++) {
+            const socket = lib.sockets[lib.sockets.length - 1];
+            if (socket.readyState === 0) socket.close(1006);
+            await wait(5);
+        }
+    }
+
+    // Reconnect Policy Test: Capped Backoff and Events
+    // JUSTIFICATION: Unbounded exponential delays strand clients for minutes
+    // - Tests that delays double up to maxReconnectDelay
+    // - Ensures reconnecting and reconnected report attempt counts
+    // - Critical for predictable recovery after server restarts
+    async testCappedBackoffAndEvents() {
+        const { lib, client, events } = this.setup({ maxReconnectDelay: 4, maxReconnectAttempts: 10 });
+        lib.sockets[0].open();
+        lib.sockets[0].close(1006);
+        await this.failSockets(lib, 5);
+        lib.sockets[lib.sockets.length - 1].open();
+
+        const delays = events.filter(([type]) => type === 'reconnecting').map(([, event]) => event.delay);
+        if (delays.join(',') !== '1,2,4,4,4') throw new Error(`Unexpected delays: ${delays}`);
+        const last = events[events.length - 1];
+        if (last[0] !== 'reconnected' || last[1].attempt !== 5 || client.reconnectAttempts !== 0) throw new Error('Reconnected event missing');
+        console.log('✅ Backoff is capped and reconnect events carry attempt counts');
+    }
+
+    // Reconnect Policy Test: Jitter
+    // JUSTIFICATION: Lock-step reconnects overload a restarting server
+    // - Tests that full jitter stays between zero and the capped backoff
+    // - Ensures decorrelated jitter stays between the base delay and the cap
+    async testJitterBounds() {
+        for (const [reconnectJitter, min] of [['full', 0], ['decorrelated', 100]]) {
+            const { client, events } = this.setup({ reconnectDelay: 100, maxReconnectDelay: 1000, maxReconnectAttempts: Infinity, reconnectJitter });
+            for (let i = 0; i < 40; i++) client._scheduleReconnect();
+            client.destroy();
+
+            const delays = events.map(([, event]) => event.delay);
+            if (!delays.every(delay => delay >= min && delay <= 1000)) throw new Error(`${reconnectJitter} jitter out of bounds: ${delays}`);
+            if (new Set(delays).size < 10) throw new Error(`${reconnectJitter} jitter not randomized`);
+        }
+        console.log('✅ Full and decorrelated jitter stay within bounds');
+    }
+
+    // Reconnect Policy Test: Custom Policy and Giving Up
+    // JUSTIFICATION: Applications choose their own strategy
+    // - Tests that reconnectPolicy receives the attempt and previous delay
+    // - Ensures returning null gives up and emits gaveUp
+    // - Ensures maxReconnectAttempts still bounds the default policy
+    async testCustomPolicyAndGaveUp() {
+        const calls = [];
+        const { lib, events } = this.setup({
+            reconnectPolicy: (attempt, previous) => { calls.push(`${attempt}:${previous}`); return attempt < 3 ? attempt * 2 : null; }
+        });
+        lib.sockets[0].close(1006);
+        await this.failSockets(lib, 3);
+        if (calls.join(',') !== '1:0,2:2,3:4') throw new Error(`Unexpected policy calls: ${calls}`);
+        if (events.map(([type]) => type).join(',') !== 'reconnecting,reconnecting,gaveUp' || events[2][1].attempts !== 2) throw new Error('gaveUp not emitted');
+
+        const limited = this.setup({ maxReconnectAttempts: 1 });
+        limited.lib.sockets[0].close(1006);
+        await this.failSockets(limited.lib, 2);
+        if (limited.lib.sockets.length !== 2 || limited.events.map(([type]) => type).join(',') !== 'reconnecting,gaveUp') throw new Error('maxReconnectAttempts not applied');
+        console.log('✅ Custom policies and gaveUp are supported');
+    }
+
+    // Reconnect Policy Test: Network and Visibility Resume
+    // JUSTIFICATION: Reconnect as soon as the device is back
+    // - Tests that online reconnects immediately, even after giving up
+    // - Ensures visibilitychange only reconnects visible pages
+    async testOnlineAndVisibilityResume() {
+        const { lib } = this.setup({ maxReconnectAttempts: 0 });
+        lib.sockets[0].close(1006);
+        if (lib.sockets.length !== 1) throw new Error('Reconnected despite giving up');
+
+        lib.window.dispatch('online');
+        if (lib.sockets.length !== 2) throw new Error('online did not reconnect');
+        lib.window.dispatch('online');
+        if (lib.sockets.length !== 2) throw new Error('Reconnected while connecting');
+
+        lib.sockets[1].close(1006);
+        lib.document.visibilityState = 'hidden';
+        lib.document.dispatch('visibilitychange');
+        if (lib.sockets.length !== 2) throw new Error('Hidden page reconnected');
+        lib.document.visibilityState = 'visible';
+        lib.document.dispatch('visibilitychange');
+        if (lib.sockets.length !== 3) throw new Error('Visible page did not reconnect');
+        console.log('✅ online and visibilitychange trigger reconnects');
+    }
+}
+
+module.exports = ReconnectPolicyTests;
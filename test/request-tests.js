@@ -0,0 +1,108 @@
+/**
+ * Request/Response Tests for WebSocket Hypermedia
+ * Tests for sendRequest() and rid= correlation of replies
+ */
+
+const { createClient } = require('./library-loader');
+
+class RequestTests {
+    ridOf(frame) {
+        return frame.split('|').find(part => part.startsWith('rid=')).slice(4);
+    }
+
+    // Request Test: Reply Resolves Promise
+    // JUSTIFICATION: Core request/response correlation
+    // - Tests that the frame is tagged with a rid= option
+    // - Ensures the reply carrying the same rid resolves the promise
+    // - Critical for knowing which reply answers a request
+    async testReplyResolvesRequest() {
+        const { client, socket } = createClient({}, { open: true });
+
+        const request = client.sendRequest('validate_form', 'signup', 'user=ada');
+        const rid = this.ridOf(socket.sent[0]);
+        if (!socket.sent[0].startsWith('validate_form|signup|~user=ada~|rid=')) throw new Error(`Unexpected frame: ${socket.sent[0]}`);
+
+        await socket.receive(`reply||valid|rid=${rid}`);
+        const reply = await request;
+
+        if (reply.subject !== 'valid' || reply.verb !== 'reply') throw new Error('Unexpected reply');
+        if (client.pending.size) throw new Error('Pending request not cleared');
+        console.log('✅ Replies resolve the matching request');
+    }
+
+    // Request Test: DOM Replies
+    // JUSTIFICATION: Coexistence with DOM-update frames
+    // - Tests that a tagged DOM update is applied and resolves the request
+    // - Ensures untagged frames do not settle pending requests
+    async testDomReplyAppliedAndUntaggedIgnored() {
+        const { lib, client, socket } = createClient({}, { open: true });
+        const status = lib.addElement('status');
+
+        const request = client.sendRequest('save', 'doc', 'draft');
+        const rid = this.ridOf(socket.sent[0]);
+
+        await socket.receive('update|status|<p>unrelated</p>');
+        if (client.pending.size !== 1) throw new Error('Untagged frame settled the request');
+
+        await socket.receive(`update|status|<p>saved</p>|rid=${rid}`);
+        await request;
+
+        if (status.innerHTML !== '<p>saved</p>') throw new Error('Tagged DOM update not applied');
+        console.log('✅ Tagged DOM replies are applied and untagged frames ignored');
+    }
+
+    // Request Test: Timeout
+    // JUSTIFICATION: Failure detection
+    // - Tests that a request without a reply rejects after its timeout
+    async testRequestTimeout() {
+        const { client } = createClient({}, { open: true });
+
+        try {
+            await client.sendRequest('slow', 'job', 'x', { timeout: 20 });
+        } catch (error) {
+            if (error.message !== 'Request timeout') throw error;
+            console.log('✅ Requests reject on timeout');
+            return;
+        }
+        throw new Error('Request did not time out');
+    }
+
+    // Request Test: Disconnect
+    // JUSTIFICATION: Failure detection
+    // - Tests that pending requests reject when the socket closes
+    // - Ensures requests reject immediately while disconnected
+    async testRequestRejectsOnDisconnect() {
+        const { client, socket } = createClient({ autoReconnect: 0 }, { open: true });
+
+        const request = client.sendRequest('save', 'doc', 'draft');
+        socket.close();
+
+        const errors = [];
+        await request.catch(error => errors.push(error.message));
+        await client.sendRequest('save', 'doc', 'draft').catch(error => errors.push(error.message));
+
+        if (errors.join(',') !== 'Disconnected,Not connected') throw new Error(`Unexpected errors: ${errors}`);
+        console.log('✅ Requests reject on disconnect');
+    }
+
+    // Request Test: Settings Argument
+    // JUSTIFICATION: Trailing arguments are frame options unless they are settings
+    // - Tests that only a plain object is taken as settings, so null and arrays stay frame options
+    // - Ensures failures reject the returned promise instead of throwing
+    async testSettingsArgumentAndErrors() {
+        const { client, socket } = createClient({ requestTimeout: 20 }, { open: true });
+
+        const requests = [client.sendRequest('save', 'doc', 'x', null), client.sendRequest('save', 'doc', 'x', ['a']), client.sendRequest('save', 'doc', 'x', 'v=1', { timeout: 5 })];
+        const options = socket.sent.map(frame => frame.split('|')[3]);
+        if (options.join(',') !== ',a,v=1' || !socket.sent[2].split('|')[4].startsWith('rid=')) throw new Error(`Unexpected frames: ${socket.sent}`);
+        await Promise.all(requests.map(request => request.catch(() => {})));
+
+        client.addMiddleware('outbound', () => { throw new Error('Blocked'); });
+        const errors = [];
+        await client.sendRequest('save', 'doc', 'x').catch(error => errors.push(error.message));
+        if (errors.join(',') !== 'Blocked' || client.pending.size) throw new Error(`Unexpected errors: ${errors}`);
+        console.log('✅ Only plain objects are settings and failures reject');
+    }
+}
+
+module.exports = RequestTests;
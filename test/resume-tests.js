@@ -0,0 +1,140 @@
+/**
+ * Session Resumption Tests for WebSocket Hypermedia
+ * Tests for seq= tracking, the resume handshake and server-side replay or resync
+ */
+
+const { createClient } = require('./library-loader');
+const { WebSocketHypermediaServer } = require('../src/websocket-hypermedia-server');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ResumeTests {
+    // Client and server companion joined by in-memory sockets
+    createPair(clientOptions = {}, serverOptions = {}) {
+        const wss = { clients: new Set(), on() {} };
+        const server = new WebSocketHypermediaServer(wss, { replayBufferSize: 10, ...serverOptions });
+        const { lib, client } = createClient({ resume: 1, reconnectDelay: 1, ...clientOptions });
+        const connect = () => {
+            const socket = lib.sockets[lib.sockets.length - 1];
+            const peer = { readyState: 1, send: (frame) => socket.receive(frame) };
+            socket.send = (frame) => { socket.sent.push(frame); server.handle(peer, frame); };
+            wss.clients.add(peer);
+            socket.open();
+            return { socket, peer };
+        };
+        return { lib, server, client, wss, connect };
+    }
+
+    // Resume Test: Replay After Reconnect
+    // JUSTIFICATION: Core session resumption
+    // - Tests that the client sends its last seq in a resume frame after reconnecting
+    // - Ensures broadcasts missed during the gap are replayed in order
+    // - Critical for live dashboards on flaky networks
+    async testReplaysMissedFrames() {
+        const { lib, server, client, wss, connect } = this.createPair();
+        const log = lib.addElement('log');
+
+        const first = connect();
+        server.broadcast('append', 'log', '1');
+        server.broadcast('append', 'log', '2');
+        await wait(5);
+        if (client.seq !== 2) throw new Error(`seq not tracked: ${client.seq}`);
+
+        wss.clients.delete(first.peer);
+        first.socket.close(1006);
+        server.broadcast('append', 'log', '3');
+        server.broadcast('append', 'log', '4');
+        await wait(20);
+        const second = connect();
+        await wait(10);
+
+        if (second.socket.sent[0] !== 'resume||2') throw new Error(`Unexpected handshake: ${second.socket.sent[0]}`);
+        if (log.innerHTML !== '1234' || client.seq !== 4) throw new Error(`Missed frames not replayed: ${log.innerHTML}`);
+        console.log('✅ Missed broadcasts are replayed after reconnect');
+    }
+
+    // Resume Test: Duplicate Frames
+    // JUSTIFICATION: Replays may overlap frames already applied
+    // - Tests that frames with a seq at or below the last applied one are skipped
+    async testSkipsDuplicates() {
+        const { lib, client } = this.createPair();
+        const log = lib.addElement('log');
+
+        for (const frame of ['append|log|a|seq=1', 'append|log|b|seq=2', 'append|log|b|seq=2', 'append|log|a|seq=1', 'append|log|c']) {
+            await client._handleMessage(frame);
+        }
+
+        if (log.innerHTML !== 'abc') throw new Error(`Duplicates applied: ${log.innerHTML}`);
+        console.log('✅ Duplicate frames are skipped');
+    }
+
+    // Resume Test: Resync When the Gap Is Too Large
+    // JUSTIFICATION: Replay is impossible once the buffer has moved on
+    // - Tests that the server sends resync with its current seq
+    // - Ensures the server onResync hook can re-render and the client is told so
+    // - Ensures a client without onResync reloads the page
+    async testResyncBeyondBuffer() {
+        const rendered = [];
+        const { lib, server, client, connect } = this.createPair(
+            { onResync: (event) => rendered.push(`client:${event.seq}:${event.render}`) },
+            { replayBufferSize: 2, onResync: (ws, seq) => rendered.push(`server:${seq}`) }
+        );
+        connect();
+        for (let i = 0; i < 5; i++) server.broadcast('update', 'content', String(i));
+        client.seq = 1;
+        await server.resume(server.wss.clients.values().next().value, 1);
+        await wait(5);
+        if (rendered.join(',') !== 'client:5:server,server:1' || client.seq !== 5) throw new Error(`Unexpected resync: ${rendered}`);
+
+        const plain = this.createPair({}, { replayBufferSize: 2 });
+        let reloaded = 0;
+        plain.lib.location.reload = () => reloaded++;
+        plain.client.seq = 7;
+        plain.connect();
+        await wait(5);
+        if (plain.client.seq !== 0 || reloaded !== 1) throw new Error('Client did not reload after resync');
+        console.log('✅ Large gaps trigger a resync');
+    }
+
+    // Resume Test: Position Handshake
+    // JUSTIFICATION: A client may lose its connection before any numbered frame reaches it
+    // - Tests that a first connect asks the server for its current seq
+    // - Ensures broadcasts missed before the first applied frame are still replayed
+    async testResumesFromInitialPosition() {
+        const { lib, server, client, wss, connect } = this.createPair();
+        const log = lib.addElement('log');
+        server.broadcast('append', 'log', 'old');
+
+        const first = connect();
+        await wait(5);
+        if (first.socket.sent[0] !== 'resume||' || client.seq !== 1) throw new Error(`Position not adopted: ${first.socket.sent[0]} ${client.seq}`);
+
+        wss.clients.delete(first.peer);
+        first.socket.close(1006);
+        server.broadcast('append', 'log', 'a');
+        await wait(20);
+        const second = connect();
+        await wait(10);
+
+        if (second.socket.sent[0] !== 'resume||1') throw new Error(`Unexpected handshake: ${second.socket.sent[0]}`);
+        if (log.innerHTML !== 'a' || client.seq !== 2) throw new Error(`Missed frame not replayed: ${log.innerHTML}`);
+        console.log('✅ Clients resume from the position given on first connect');
+    }
+
+    // Resume Test: Disabled by Default
+    // JUSTIFICATION: Backward compatibility
+    // - Tests that without resume the client neither tracks seq nor sends a handshake
+    async testDisabledByDefault() {
+        const { lib, client, connect } = this.createPair({ resume: 0 });
+        const log = lib.addElement('log');
+        client.seq = 3;
+        const { socket } = connect();
+        await client._handleMessage('append|log|a|seq=1');
+        await client._handleMessage('append|log|a|seq=1');
+
+        if (socket.sent.length || log.innerHTML !== 'aa') throw new Error('Resume active by default');
+        console.log('✅ Session resumption is opt-in');
+    }
+}
+
+module.exports = ResumeTests;
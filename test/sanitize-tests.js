@@ -0,0 +1,105 @@
+/**
+ * Sanitization Tests for WebSocket Hypermedia
+ * Tests for the opt-in HTML sanitizer applied to content verbs before insertion
+ */
+
+const { createClient } = require('./library-loader');
+
+class SanitizeTests {
+    setup(options = {}) {
+        return createClient({ sanitize: 1, ...options });
+    }
+
+    // Sanitize Test: Scripts, Handlers and URLs
+    // JUSTIFICATION: Core XSS protection
+    // - Tests that disallowed tags such as <script> are removed
+    // - Ensures on* handlers, data-ws-* bindings and javascript: URLs are stripped
+    // - Ensures safe markup, other data-* attributes and http(s) links are kept
+    async testStripsScriptsHandlersAndUrls() {
+        const { lib, client } = this.setup();
+        const content = lib.addElement('content');
+
+        const html = client.createMessage('update', 'content',
+            '<p onclick="steal()">Hi<script>alert(1)</script></p><img src=" java\tscript:alert(1)" alt="x"><a href="https://example.com/" data-id="7" data-ws-click="open|doc|1">ok</a>');
+        await client._handleMessage(html);
+
+        const expected = '<p>Hi</p><img alt="x"><a href="https://example.com/" data-id="7">ok</a>';
+        if (content.innerHTML !== expected) throw new Error(`Unexpected HTML: ${content.innerHTML}`);
+        console.log('✅ Scripts, handlers, bindings and javascript: URLs are stripped');
+    }
+
+    // Sanitize Test: Every Content Verb
+    // JUSTIFICATION: No unsanitized sink
+    // - Tests that append, prepend, before, after, replace and swap are sanitized
+    async testAllContentVerbsSanitized() {
+        const { lib, client } = this.setup();
+        const verbs = ['append', 'prepend', 'before', 'after', 'replace', 'swap'];
+        const elements = verbs.map(verb => lib.addElement(verb));
+        const captured = [];
+        elements.forEach(el => {
+            el.insertAdjacentHTML = (position, html) => captured.push(html);
+            Object.defineProperty(el, 'outerHTML', { set: (html) => captured.push(html) });
+        });
+
+        for (const verb of verbs) await client._handleMessage(`${verb}|${verb}|<b onmouseover="x()">${verb}</b><iframe src="https://evil.example/"></iframe>`);
+
+        const expected = verbs.map(verb => `<b>${verb}</b>`);
+        if (captured.join(',') !== expected.join(',')) throw new Error(`Unexpected HTML: ${captured}`);
+        console.log('✅ Every content verb is sanitized');
+    }
+
+    // Sanitize Test: Custom Allow-Lists
+    // JUSTIFICATION: Configurable policy
+    // - Tests that allowTags, allowAttrs and allowSchemes extend or restrict the defaults
+    // - Ensures a data-ws-* binding is kept only when listed in allowAttrs
+    async testCustomAllowLists() {
+        const { lib, client } = this.setup({ allowTags: ['p', 'a'], allowAttrs: ['href', 'style', 'data-ws-click'], allowSchemes: ['https'] });
+        const content = lib.addElement('content');
+
+        await client._handleMessage(client.createMessage('update', 'content',
+            '<p style="color: red" class="x" data-ws-click="open|doc|1" data-ws-submit="save|doc">A</p><a href="mailto:a@b.c">mail</a><span>gone</span>'));
+
+        if (content.innerHTML !== '<p style="color: red" data-ws-click="open|doc|1">A</p><a>mail</a>') throw new Error(`Unexpected HTML: ${content.innerHTML}`);
+        console.log('✅ Allow-lists are configurable');
+    }
+
+    // Sanitize Test: Pluggable Sanitizer
+    // JUSTIFICATION: Browser Sanitizer API or third-party libraries
+    // - Tests that a sanitize function replaces the built-in sanitizer
+    // - Ensures morphing also passes through the sanitizer
+    async testCustomSanitizerFunction() {
+        const seen = [];
+        const { lib, client } = this.setup({ sanitize: (html) => { seen.push(html); return html.replace(/<i>.*<\/i>/, ''); } });
+        const content = lib.addElement('content');
+        const panel = lib.addTree('panel', '<p>Old</p>');
+
+        await client._handleMessage('update|content|<p>A</p><i>drop</i>');
+        await client._handleMessage('morph|panel|<p>New</p><i>drop</i>');
+
+        if (content.innerHTML !== '<p>A</p>' || seen.length !== 2) throw new Error('Custom sanitizer not used for update');
+        if (panel.childNodes.map(lib.serialize).join('') !== '<p>New</p>') throw new Error('Custom sanitizer not used for morph');
+        console.log('✅ Custom sanitizer functions are used for all sinks');
+    }
+
+    // Sanitize Test: Attribute Verb
+    // JUSTIFICATION: setAttr must not bypass the policy
+    // - Tests that setAttr refuses handlers and unsafe URLs when sanitizing
+    // - Ensures sanitization is off by default for backward compatibility
+    async testSetAttrAndDefaults() {
+        const { lib, client } = this.setup();
+        const link = lib.addElement('link', 'A');
+
+        await client._handleMessage('setAttr|link|onclick|steal()');
+        await client._handleMessage('setAttr|link|href|javascript:alert(1)');
+        await client._handleMessage('setAttr|link|title|Docs');
+        if (link.getAttributeNames().join(',') !== 'title') throw new Error(`Unsafe attribute set: ${link.getAttributeNames()}`);
+
+        const plain = this.setup({ sanitize: 0 });
+        const content = plain.lib.addElement('content');
+        await plain.client._handleMessage('update|content|<b onclick="x()">raw</b>');
+        if (content.innerHTML !== '<b onclick="x()">raw</b>') throw new Error('Sanitizer active by default');
+        console.log('✅ setAttr is filtered and sanitizing is opt-in');
+    }
+}
+
+module.exports = SanitizeTests;
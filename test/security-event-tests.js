@@ -0,0 +1,76 @@
+/**
+ * Security Event Tests for WebSocket Hypermedia
+ * Tests for structured security events and batched reporting to the server
+ */
+
+const { createClient } = require('./library-loader');
+
+class SecurityEventTests {
+    setup(options = {}) {
+        const events = [];
+        const { lib, client, socket } = createClient({ onSecurityEvent: (event) => events.push(event), ...options }, { open: true });
+        return { lib, client, socket, events };
+    }
+
+    // Security Event Test: Stable Codes
+    // JUSTIFICATION: Aggregation needs machine-readable events
+    // - Tests that each class of suspicious input emits its stable code
+    // - Ensures every event carries a timestamp and a detail object
+    // - Critical for alerting across all clients
+    async testEventCodes() {
+        const { lib, client, events } = this.setup({ maxMessageSize: 200, maxParts: 5, requireVersion: 1 });
+        lib.addElement('el');
+
+        await client._handleMessage('x'.repeat(201));
+        await client._handleMessage('a|b|c|d|e|f|g|h');
+        await client._handleMessage('update|el|hi|version=0.9');
+        client.o.requireVersion = 0;
+        await client._handleMessage('update|bad id!|hi');
+        await client._handleMessage('frobnicate|el|hi');
+        await client._handleMessage('trigger|el|custom|{"__proto__":{"admin":true}}');
+
+        const codes = events.map(event => event.code).join(',');
+        const expected = 'MESSAGE_TOO_LARGE,MESSAGE_ERROR,TOO_MANY_PARTS,MESSAGE_ERROR,VERSION_MISMATCH,INVALID_ID,UNKNOWN_VERB,PROTOTYPE_POLLUTION';
+        if (codes !== expected) throw new Error(`Unexpected codes: ${codes}`);
+        if (!events.every(event => typeof event.time === 'number' && typeof event.detail === 'object')) throw new Error('Malformed event');
+        console.log('✅ Security events carry stable codes');
+    }
+
+    // Security Event Test: Truncated Payloads
+    // JUSTIFICATION: Events must not carry attacker-sized payloads
+    // - Tests that string details are truncated to 200 characters
+    // - Ensures numeric details are kept as numbers
+    async testPayloadTruncation() {
+        const { client, events } = this.setup({ maxMessageSize: 400 });
+
+        await client._handleMessage('x'.repeat(401));
+        await client._handleMessage(`update|${'a'.repeat(300)}|x`);
+
+        const [tooLarge, , invalidId] = events;
+        if (tooLarge.detail.size !== 401 || tooLarge.detail.maxSize !== 400) throw new Error('Numeric detail changed');
+        if (invalidId.code !== 'INVALID_ID' || invalidId.detail.id.length !== 200) throw new Error('Detail not truncated');
+        console.log('✅ Event payloads are truncated');
+    }
+
+    // Security Event Test: Batched Reporting
+    // JUSTIFICATION: Central collection without one frame per event
+    // - Tests that events are batched into one securityReportVerb frame
+    // - Ensures the frame carries the events as JSON
+    async testBatchedReporting() {
+        const { lib, client, socket } = this.setup({ securityReportVerb: 'securityReport', securityReportInterval: 20 });
+        lib.addElement('el');
+
+        await client._handleMessage('update|bad id!|hi');
+        await client._handleMessage('frobnicate|el|hi');
+        if (socket.sent.length) throw new Error('Report sent before the interval');
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        if (socket.sent.length !== 1) throw new Error(`Expected one report, got ${socket.sent.length}`);
+        const [verb, , subject] = client._parseMessage(socket.sent[0]);
+        const codes = JSON.parse(subject).map(event => event.code).join(',');
+        if (verb !== 'securityReport' || codes !== 'INVALID_ID,UNKNOWN_VERB') throw new Error(`Unexpected report: ${socket.sent[0]}`);
+        console.log('✅ Security events are reported in batches');
+    }
+}
+
+module.exports = SecurityEventTests;
@@ -0,0 +1,109 @@
+/**
+ * CSS Selector Targeting Tests for WebSocket Hypermedia
+ * Tests for the $ and $$ noun prefixes that address elements by selector
+ */
+
+const { createClient } = require('./library-loader');
+
+class SelectorTests {
+    setup(options = {}) {
+        return createClient({ enableSelectors: 1, ...options });
+    }
+
+    createRows(lib) {
+        return ['row-1', 'row-2', 'row-3'].map((id, i) => {
+            const row = lib.addElement(id, 'TR');
+            row.classList.add('row');
+            if (i < 2) row.classList.add('unread');
+            return row;
+        });
+    }
+
+    // Selector Test: All Matches
+    // JUSTIFICATION: Core multi-element targeting
+    // - Tests that $$ applies the verb to every matching element
+    // - Ensures non-matching elements are untouched
+    // - Critical for bulk updates such as marking rows read
+    async testAllMatchesSelector() {
+        const { lib, client } = this.setup();
+        const rows = this.createRows(lib);
+
+        await client._handleMessage('addClass|$$.row.unread|highlight');
+
+        if (!rows[0].classList.has('highlight') || !rows[1].classList.has('highlight')) throw new Error('Matching rows not updated');
+        if (rows[2].classList.has('highlight')) throw new Error('Non-matching row updated');
+        console.log('✅ $$ selector targets all matches');
+    }
+
+    // Selector Test: Single Match
+    // JUSTIFICATION: First-match targeting
+    // - Tests that $ only applies the verb to the first match
+    async testSingleMatchSelector() {
+        const { lib, client } = this.setup();
+        const rows = this.createRows(lib);
+
+        await client._handleMessage('addClass|$.unread|highlight');
+
+        if (!rows[0].classList.has('highlight')) throw new Error('First match not updated');
+        if (rows[1].classList.has('highlight')) throw new Error('Second match updated');
+        console.log('✅ $ selector targets the first match');
+    }
+
+    // Selector Test: Remove All Matches
+    // JUSTIFICATION: Bulk removal use case
+    // - Tests removing every element carrying an attribute in one message
+    async testRemoveAllMatches() {
+        const { lib, client } = this.setup();
+        const rows = this.createRows(lib);
+        rows[0].setAttribute('data-expired', '');
+        rows[2].setAttribute('data-expired', '');
+
+        await client._handleMessage('remove|$$[data-expired]|');
+
+        if (!rows[0].removed || rows[1].removed || !rows[2].removed) throw new Error('Wrong elements removed');
+        console.log('✅ $$ selector removes all matches');
+    }
+
+    // Selector Test: Opt-In Required
+    // JUSTIFICATION: Safety posture
+    // - Tests that selectors are rejected unless enableSelectors is set
+    // - Ensures existing ID-only deployments are unaffected
+    async testSelectorsDisabledByDefault() {
+        const { lib, client } = this.setup({ enableSelectors: 0 });
+        const rows = this.createRows(lib);
+
+        await client._handleMessage('addClass|$$.row|highlight');
+
+        if (rows.some(row => row.classList.has('highlight'))) throw new Error('Selector applied while disabled');
+        console.log('✅ Selectors are disabled by default');
+    }
+
+    // Selector Test: Invalid Selector
+    // JUSTIFICATION: Robustness against malformed selectors
+    // - Tests that invalid or oversized selectors are ignored without throwing
+    async testInvalidSelectorIgnored() {
+        const { lib, client } = this.setup();
+        const rows = this.createRows(lib);
+
+        await client._handleMessage('addClass|$$.row > >|highlight');
+        await client._handleMessage(`addClass|$$${'.row'.repeat(60)}|highlight`);
+
+        if (rows.some(row => row.classList.has('highlight'))) throw new Error('Invalid selector applied');
+        console.log('✅ Invalid selectors are ignored');
+    }
+
+    // Selector Test: ID Messages Unaffected
+    // JUSTIFICATION: Backward compatibility
+    // - Tests that plain element IDs still resolve with selectors enabled
+    async testIdMessagesUnaffected() {
+        const { lib, client } = this.setup();
+        const content = lib.addElement('content');
+
+        await client._handleMessage('update|content|<p>Hello</p>');
+
+        if (content.innerHTML !== '<p>Hello</p>') throw new Error('ID message not applied');
+        console.log('✅ ID messages are unaffected');
+    }
+}
+
+module.exports = SelectorTests;
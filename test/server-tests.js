@@ -0,0 +1,137 @@
+/**
+ * Server Companion Tests for WebSocket Hypermedia
+ * Tests for src/websocket-hypermedia-server.js: parser parity, builders, routing and helpers
+ */
+
+const { createClient } = require('./library-loader');
+const { WebSocketHypermediaServer, parseMessage, createMessage } = require('../src/websocket-hypermedia-server');
+
+class FakeSocket {
+    constructor(readyState = 1) {
+        this.readyState = readyState;
+        this.sent = [];
+        this.listeners = {};
+    }
+
+    send(frame) {
+        this.sent.push(frame);
+    }
+
+    on(type, fn) {
+        this.listeners[type] = fn;
+    }
+
+    emit(type, ...args) {
+        return this.listeners[type]?.(...args);
+    }
+}
+
+class ServerTests {
+    // Server Test: Parser Parity
+    // JUSTIFICATION: Both ends must agree on framing
+    // - Tests that parseMessage matches the client's _parseMessage for escaped and plain frames
+    // - Ensures maxParts and maxMessageSize limits are enforced the same way
+    // - Critical for removing split('|') drift between server and client
+    async testParserParity() {
+        const { client } = createClient();
+        const frames = [
+            'update|content|<p>Hello</p>',
+            'update|content|~<p>a | b</p>~|opt=1',
+            'addClass|el|~x|y~|~z|w~',
+            'say|room|~hi ~~ there | ~~~~~',
+            'noop||',
+            'only-verb'
+        ];
+
+        for (const frame of frames) {
+            const expected = JSON.stringify(Array.from(client._parseMessage(frame)));
+            const actual = JSON.stringify(parseMessage(frame));
+            if (actual !== expected) throw new Error(`Parser mismatch for ${frame}: ${actual} vs ${expected}`);
+        }
+
+        const limits = [
+            ['a|b|c|d', { maxParts: 2 }, 'Too many message parts'],
+            ['x'.repeat(20), { maxMessageSize: 10 }, 'Message too large']
+        ];
+        for (const [frame, options, message] of limits) {
+            try {
+                parseMessage(frame, options);
+            } catch (error) {
+                if (error.message !== message) throw error;
+                continue;
+            }
+            throw new Error(`Limit not enforced: ${message}`);
+        }
+        console.log('✅ Server parser matches the client parser');
+    }
+
+    // Server Test: Message Builders
+    // JUSTIFICATION: Frames built on the server must round-trip
+    // - Tests that createMessage mirrors the client's plain join
+    // - Ensures fields containing pipes or escape characters survive parsing
+    async testMessageBuilders() {
+        const server = new WebSocketHypermediaServer();
+
+        if (createMessage('update', 'content', 'hi', 'a=1') !== 'update|content|hi|a=1') throw new Error('createMessage mismatch');
+
+        const fields = ['update', 'chat~room', '<p>a | b ~ c</p>', 'a=1|2'];
+        for (const frame of [createMessage(...fields), server.createMessage(...fields)]) {
+            if (JSON.stringify(parseMessage(frame)) !== JSON.stringify(fields)) throw new Error(`Frame did not round-trip: ${frame}`);
+        }
+        console.log('✅ Server builders produce round-trippable frames');
+    }
+
+    // Server Test: Verb Routing
+    // JUSTIFICATION: Incoming frame dispatch
+    // - Tests that handlers receive the parsed frame for their verb
+    // - Ensures the '*' fallback catches unrouted verbs
+    // - Ensures handler errors are reported through onError
+    async testVerbRouting() {
+        const errors = [];
+        const server = new WebSocketHypermediaServer(null, { onError: (error) => errors.push(error.message) });
+        const ws = new FakeSocket();
+        const seen = [];
+
+        server
+            .on('save', (socket, { noun, subject, options }) => seen.push(`save:${noun}:${subject}:${options}`))
+            .on('*', (socket, { verb }) => seen.push(`fallback:${verb}`))
+            .on('boom', () => { throw new Error('handler failed'); });
+        server.attach(ws);
+
+        await ws.emit('message', Buffer.from('save|doc|~a|b~|draft=1'));
+        await ws.emit('message', Buffer.from('other|x|y'));
+        await ws.emit('message', Buffer.from('boom|x|y'));
+
+        if (seen.join(',') !== 'save:doc:a|b:draft=1,fallback:other') throw new Error(`Unexpected routing: ${seen}`);
+        if (errors.join(',') !== 'handler failed') throw new Error(`Unexpected errors: ${errors}`);
+        console.log('✅ Incoming frames are routed by verb');
+    }
+
+    // Server Test: Helpers and Broadcast
+    // JUSTIFICATION: Ergonomic DOM updates from the server
+    // - Tests that helpers such as update() and addClass() send escaped frames
+    // - Ensures broadcast() only reaches open clients
+    async testHelpersAndBroadcast() {
+        const open = new FakeSocket();
+        const closed = new FakeSocket(3);
+        const wss = { clients: new Set([open, closed]), on: () => {} };
+        const server = new WebSocketHypermediaServer(wss);
+
+        server.update(open, 'content', '<p>Hi</p>');
+        server.addClass(open, 'card', 'active');
+        server.setAttr(open, 'link', 'href', '/docs');
+        const count = server.broadcast('append', 'log', 'line');
+
+        const expected = [
+            'update|content|~<p>Hi</p>~',
+            'addClass|card|~active~',
+            'setAttr|link|~href~|/docs',
+            'append|log|~line~'
+        ];
+        if (open.sent.join(',') !== expected.join(',')) throw new Error(`Unexpected frames: ${open.sent}`);
+        if (count !== 1 || closed.sent.length) throw new Error('Broadcast reached a closed client');
+        console.log('✅ Server helpers and broadcast send escaped frames');
+    }
+}
+
+module.exports = ServerTests;
@@ -0,0 +1,126 @@
+/**
+ * Shared Connection Tests for WebSocket Hypermedia
+ * Tests for one leader tab owning the socket and fanning frames out over BroadcastChannel
+ */
+
+const { loadLibrary, createClient, createTabGroup } = require('./library-loader');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SharedConnectionTests {
+    // Opens a tab in the group; the returned socket() is the tab's latest socket, if any
+    openTab(group, options = {}) {
+        const { lib, client } = createClient({ shareConnection: 1, ...options }, { lib: loadLibrary({ tabs: group }) });
+        const content = lib.addElement('content');
+        return { lib, client, content, socket: () => lib.sockets[lib.sockets.length - 1] };
+    }
+
+    // Shared Connection Test: One Socket, Frames Fanned Out
+    // JUSTIFICATION: Core connection sharing
+    // - Tests that only the leader tab opens a socket
+    // - Ensures inbound frames are applied in every tab
+    // - Ensures followers mirror the leader's connection state
+    async testLeaderFansOutFrames() {
+        const group = createTabGroup();
+        const leader = this.openTab(group);
+        const follower = this.openTab(group);
+        await wait(5);
+        leader.socket().open();
+        await leader.socket().receive('update|content|<p>Shared</p>');
+        await wait(5);
+
+        if (leader.lib.sockets.length !== 1 || follower.lib.sockets.length !== 0) throw new Error('Expected exactly one socket');
+        if (leader.content.innerHTML !== '<p>Shared</p>' || follower.content.innerHTML !== '<p>Shared</p>') throw new Error('Frame not applied in both tabs');
+        if (follower.client.state !== 'open' || follower.lib.document.documentElement.dataset.wsState !== 'open') throw new Error(`Follower state not mirrored: ${follower.client.state}`);
+        leader.client.destroy();
+        follower.client.destroy();
+        console.log('✅ One socket serves every tab');
+    }
+
+    // Shared Connection Test: Follower Sends and Requests
+    // JUSTIFICATION: Followers must stay fully interactive
+    // - Tests that follower frames go out through the leader's socket
+    // - Ensures sendRequest() in a follower resolves with the forwarded reply
+    async testFollowerSendsThroughLeader() {
+        const group = createTabGroup();
+        const leader = this.openTab(group);
+        const follower = this.openTab(group);
+        leader.socket().open();
+        await wait(5);
+
+        follower.client.sendEscaped('save', 'doc', 'a | b');
+        const reply = follower.client.sendRequest('load', 'doc', '');
+        await wait(5);
+        const sent = leader.socket().sent;
+        if (sent[0] !== 'save|doc|~a | b~' || !sent[1]?.startsWith('load|doc|~~|rid=')) throw new Error(`Unexpected frames: ${sent}`);
+
+        await leader.socket().receive(`reply||ok|${sent[1].split('|').pop()}`);
+        const response = await reply;
+        if (response.subject !== 'ok') throw new Error('Follower request not answered');
+        leader.client.destroy();
+        follower.client.destroy();
+        console.log('✅ Followers send and request through the leader');
+    }
+
+    // Shared Connection Test: Replies and Reports Sent Once
+    // JUSTIFICATION: Every tab applies forwarded frames, but the server must hear back once
+    // - Tests that a reply produced by a forwarded frame leaves only through the leader's own run
+    // - Ensures security reports are sent by the leader only, while follower sends still go out
+    async testFollowersMuteReplies() {
+        const group = createTabGroup();
+        const options = { securityReportVerb: 'securityReport', securityReportInterval: 1 };
+        const leader = this.openTab(group, options);
+        const follower = this.openTab(group, options);
+        leader.socket().open();
+        await wait(5);
+
+        await leader.socket().receive('getAnimationState|content|');
+        await leader.socket().receive('explode|content|');
+        await wait(10);
+        follower.client.send('save||x');
+        await wait(5);
+
+        const verbs = leader.socket().sent.map(frame => frame.split('|')[0]);
+        if (verbs.join(',') !== 'animationState,securityReport,save') throw new Error(`Unexpected frames: ${verbs}`);
+        leader.client.destroy();
+        follower.client.destroy();
+        console.log('✅ Replies and security reports are sent once per frame');
+    }
+
+    // Shared Connection Test: Leader Election
+    // JUSTIFICATION: Closing the owning tab must not drop the connection
+    // - Tests that the next tab takes over the socket when the leader closes
+    // - Ensures the new leader fans frames out to the remaining tabs
+    async testNextTabTakesOver() {
+        const group = createTabGroup();
+        const first = this.openTab(group);
+        const second = this.openTab(group);
+        const third = this.openTab(group);
+        first.socket().open();
+        await wait(5);
+
+        first.client.destroy();
+        await wait(5);
+        if (second.lib.sockets.length !== 1 || third.lib.sockets.length !== 0) throw new Error('Second tab did not take over');
+        second.socket().open();
+        await second.socket().receive('update|content|<p>Still live</p>');
+        await wait(5);
+
+        if (third.content.innerHTML !== '<p>Still live</p>') throw new Error('New leader did not fan out');
+        second.client.destroy();
+        third.client.destroy();
+        console.log('✅ The next tab takes over when the leader closes');
+    }
+
+    // Shared Connection Test: Fallback
+    // JUSTIFICATION: Older browsers lack BroadcastChannel or Web Locks
+    // - Tests that each instance opens its own socket without them
+    async testFallbackWithoutChannel() {
+        const { lib, client } = createClient({ shareConnection: 1 });
+        if (lib.sockets.length !== 1) throw new Error('Fallback did not connect');
+        client.destroy();
+        console.log('✅ Without BroadcastChannel each tab connects itself');
+    }
+}
+
+module.exports = SharedConnectionTests;
@@ -0,0 +1,83 @@
+/**
+ * Signature Tests for WebSocket Hypermedia
+ * Tests for HMAC-signed inbound frames verified before processing
+ */
+
+const { createClient } = require('./library-loader');
+const { WebSocketHypermediaServer, signMessage } = require('../src/websocket-hypermedia-server');
+
+const KEY = 'test-signing-key';
+
+class SignatureTests {
+    setup(options = {}) {
+        return createClient({ signingKey: KEY, ...options }, { open: true });
+    }
+
+    // Signature Test: Signed, Tampered and Unsigned Frames
+    // JUSTIFICATION: Core signature verification
+    // - Tests that frames signed by the Node helper are applied
+    // - Ensures tampered and unsigned frames are dropped
+    // - Critical for trusting frames that crossed untrusted hops
+    async testVerifiesSignedFrames() {
+        const { lib, client } = this.setup();
+        const content = lib.addElement('content');
+
+        const signed = signMessage('update|content|<p>Signed</p>|priority=high', KEY);
+        await client._handleMessage(signed);
+        if (content.innerHTML !== '<p>Signed</p>') throw new Error('Signed frame not applied');
+
+        await client._handleMessage(signed.replace('Signed', 'Forged'));
+        await client._handleMessage(signed.replace('priority=high', 'priority=low'));
+        await client._handleMessage('update|content|<p>Unsigned</p>');
+        await client._handleMessage(signMessage('update|content|<p>Other key</p>', 'wrong-key'));
+
+        if (content.innerHTML !== '<p>Signed</p>') throw new Error(`Rejected frame applied: ${content.innerHTML}`);
+        console.log('✅ Only correctly signed frames are applied');
+    }
+
+    // Signature Test: Server Companion Signing
+    // JUSTIFICATION: Matching signer on the server
+    // - Tests that a server with signingKey signs helper frames
+    // - Ensures escaped subjects and custom escape characters verify on the client
+    async testServerSignsFrames() {
+        const { lib, client } = this.setup({ escapeChar: '^' });
+        const content = lib.addElement('content');
+        const server = new WebSocketHypermediaServer(null, { signingKey: KEY, escapeChar: '^' });
+        const ws = { readyState: 1, sent: [], send(frame) { this.sent.push(frame); } };
+
+        server.update(ws, 'content', '<p>a | b ^ c ~ d</p>');
+        await client._handleMessage(ws.sent[0]);
+
+        if (content.innerHTML !== '<p>a | b ^ c ~ d</p>') throw new Error(`Server-signed frame not applied: ${ws.sent[0]}`);
+        console.log('✅ Server companion frames verify on the client');
+    }
+
+    // Signature Test: Ordering
+    // JUSTIFICATION: Asynchronous verification must not reorder frames
+    // - Tests that frames received back to back are applied in arrival order
+    async testFramesStayOrdered() {
+        const { lib, socket } = this.setup();
+        const log = lib.addElement('log');
+
+        const received = ['1', '2', '3'].map(n => socket.receive(signMessage(`append|log|${n}`, KEY)));
+        await Promise.all(received);
+
+        if (log.innerHTML !== '123') throw new Error(`Frames reordered: ${log.innerHTML}`);
+        console.log('✅ Signed frames are applied in order');
+    }
+
+    // Signature Test: Disabled by Default
+    // JUSTIFICATION: Backward compatibility
+    // - Tests that unsigned frames apply when no signingKey is configured
+    async testDisabledByDefault() {
+        const { lib, client } = this.setup({ signingKey: null });
+        const content = lib.addElement('content');
+
+        await client._handleMessage('update|content|<p>Plain</p>');
+
+        if (content.innerHTML !== '<p>Plain</p>') throw new Error('Unsigned frame rejected without signingKey');
+        console.log('✅ Signatures are only required with signingKey');
+    }
+}
+
+module.exports = SignatureTests;
@@ -0,0 +1,111 @@
+/**
+ * Connection State Tests for WebSocket Hypermedia
+ * Tests for the connection state machine, on/off subscriptions and CSS hooks
+ */
+
+const { createClient } = require('./library-loader');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class StateTests {
+    setup(options = {}) {
+        const { lib, client } = createClient({ reconnectDelay: 1, ...options });
+        const states = [];
+        client.on('stateChange', ({ from, to }) => states.push(`${from}>${to}`));
+        return { lib, client, states };
+    }
+
+    // State Test: Lifecycle Transitions
+    // JUSTIFICATION: Core state machine
+    // - Tests connecting, open, reconnecting, failed and closing transitions
+    // - Ensures the state property follows every transition
+    async testLifecycleTransitions() {
+        const { lib, client, states } = this.setup({ maxReconnectAttempts: 1 });
+        if (client.state !== 'connecting') throw new Error(`Unexpected initial state: ${client.state}`);
+
+        lib.sockets[0].open();
+        lib.sockets[0].close(1006);
+        await wait(10);
+        lib.sockets[1].close(1006);
+        if (client.state !== 'failed') throw new Error(`Expected failed, got ${client.state}`);
+
+        lib.window.dispatch('online');
+        lib.sockets[2].open();
+        client.o.autoReconnect = 0;
+        client.disconnect();
+
+        const expected = 'connecting>open,open>reconnecting,reconnecting>connecting,connecting>failed,failed>connecting,connecting>open,open>closing,closing>closed';
+        if (states.join(',') !== expected) throw new Error(`Unexpected transitions: ${states}`);
+        console.log('✅ State machine follows the connection lifecycle');
+    }
+
+    // State Test: Explicit Disconnect
+    // JUSTIFICATION: disconnect() must win over autoReconnect
+    // - Tests that disconnect() with autoReconnect goes closing > closed without reconnecting
+    // - Ensures a pending reconnect is cancelled and later online events do not reconnect
+    async testDisconnectStopsReconnecting() {
+        const { lib, client, states } = this.setup();
+        lib.sockets[0].open();
+        client.disconnect();
+        await wait(10);
+        lib.window.dispatch('online');
+        if (states.join(',') !== 'connecting>open,open>closing,closing>closed' || lib.sockets.length !== 1) throw new Error(`Reconnected after disconnect: ${states}`);
+
+        client.connect();
+        lib.sockets[1].open();
+        lib.sockets[1].close(1006);
+        client.disconnect();
+        await wait(10);
+        if (client.state !== 'closed' || lib.sockets.length !== 2) throw new Error(`Pending reconnect not cancelled: ${client.state}`);
+        console.log('✅ disconnect() ends in closed even with autoReconnect');
+    }
+
+    // State Test: Multiple Subscribers
+    // JUSTIFICATION: Several components observe one connection
+    // - Tests that on() subscribers and constructor callbacks both receive events
+    // - Ensures off() removes only the given listener
+    async testOnOffSubscribers() {
+        const calls = [];
+        const { lib, client } = this.setup({ onConnect: () => calls.push('option') });
+        const banner = () => calls.push('banner');
+        client.on('connect', banner).on('connect', () => calls.push('status'));
+        client.on('message', (data) => calls.push(data));
+
+        lib.sockets[0].open();
+        client.off('connect', banner);
+        lib.sockets[0].close(1006);
+        await wait(10);
+        lib.sockets[1].open();
+        await lib.sockets[1].receive('noop||x');
+
+        if (calls.join(',') !== 'option,banner,status,option,status,noop||x') throw new Error(`Unexpected calls: ${calls}`);
+        client.destroy();
+        console.log('✅ on() and off() manage multiple subscribers');
+    }
+
+    // State Test: CSS Hooks
+    // JUSTIFICATION: Offline banners without JavaScript
+    // - Tests ws-connected and ws-disconnected classes on <html>
+    // - Ensures data-ws-state mirrors the state and stateClasses can turn this off
+    async testHtmlClasses() {
+        const { lib, client } = this.setup();
+        const html = lib.document.documentElement;
+        const classes = () => [...html.classList].sort().join(',');
+
+        if (classes() || html.dataset.wsState !== 'connecting') throw new Error('Classes set before the first connection');
+        lib.sockets[0].open();
+        if (classes() !== 'ws-connected') throw new Error(`Unexpected open classes: ${classes()}`);
+        lib.sockets[0].close(1006);
+        if (classes() !== 'ws-disconnected' || html.dataset.wsState !== 'reconnecting') throw new Error(`Unexpected closed classes: ${classes()}`);
+        await wait(10);
+        if (classes() !== 'ws-disconnected' || html.dataset.wsState !== 'connecting') throw new Error('Banner flickered while reconnecting');
+        client.destroy();
+
+        const plain = this.setup({ stateClasses: 0 });
+        plain.lib.sockets[0].open();
+        if (plain.lib.document.documentElement.classList.size || plain.client.state !== 'open') throw new Error('stateClasses not respected');
+        console.log('✅ <html> classes and data-ws-state track the connection');
+    }
+}
+
+module.exports = StateTests;
@@ -1,4 +1,5 @@
 const WebSocket = require('ws');
+const { parseMessage } = require('../src/websocket-hypermedia-server');
 
 // Create WebSocket server
 const wss = new WebSocket.Server({ port: 8765 });
@@ -19,8 +20,8 @@ wss.on('connection', (ws) => {
         const action = message.toString();
         console.log('Received:', action);
         
-        // Parse action with potential options
-        const parts = action.split('|');
+        // Parse action with potential options (honours ~ escaping like the client)
+        const parts = parseMessage(action);
         const verb = parts[0];
         const noun = parts[1] || '';
         const subject = parts[2] || '';
@@ -214,7 +215,9 @@ wss.on('connection', (ws) => {
         // Handle different actions
         switch (verb) {
             case 'ping':
-                ws.send('update|status|<p>Pong! Server is alive.</p>');
+                // Heartbeat pings carry a timestamp to echo back for latency measurement
+                if (subject) ws.send(`pong||${subject}`);
+                else ws.send('update|status|<p>Pong! Server is alive.</p>');
                 break;
                 
             case 'get_time':
@@ -0,0 +1,113 @@
+/**
+ * Topic Subscription Tests for WebSocket Hypermedia
+ * Tests for subscribe/unsubscribe, topic= routing and server-side topic membership
+ */
+
+const { createClient } = require('./library-loader');
+const { WebSocketHypermediaServer } = require('../src/websocket-hypermedia-server');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TopicTests {
+    setup(options = {}) {
+        const { lib, client } = createClient({ reconnectDelay: 1, ...options });
+        return { lib, client, socket: () => lib.sockets[lib.sockets.length - 1] };
+    }
+
+    // Server-side socket recording frames and close listeners
+    createPeer() {
+        const listeners = {};
+        return {
+            readyState: 1,
+            sent: [],
+            send(frame) { this.sent.push(frame); },
+            on(type, fn) { listeners[type] = fn; },
+            emit(type, data) { return listeners[type]?.(data); }
+        };
+    }
+
+    // Topic Test: Control Frames and Resubscription
+    // JUSTIFICATION: Core subscription API
+    // - Tests that subscribe and unsubscribe send control frames once connected
+    // - Ensures topics are re-subscribed after a reconnect
+    async testControlFramesAndResubscribe() {
+        const { lib, client, socket } = this.setup();
+        client.subscribe('orders').subscribe('chat:room-7');
+        socket().open();
+        client.unsubscribe('orders');
+        if (socket().sent.join(',') !== 'subscribe||~orders~,subscribe||~chat:room-7~,unsubscribe||~orders~') throw new Error(`Unexpected frames: ${socket().sent}`);
+
+        socket().close(1006);
+        await wait(10);
+        socket().open();
+        if (lib.sockets.length !== 2 || socket().sent.join(',') !== 'subscribe||~chat:room-7~') throw new Error(`Not re-subscribed: ${socket().sent}`);
+        client.destroy();
+        console.log('✅ Subscriptions send control frames and survive reconnects');
+    }
+
+    // Topic Test: Routing, Handlers and Scopes
+    // JUSTIFICATION: Several logical streams over one socket
+    // - Tests that topic frames resolve nouns inside the topic's DOM scope
+    // - Ensures a handler returning false consumes the frame
+    // - Ensures frames for topics not subscribed to are dropped
+    async testRoutingHandlersAndScopes() {
+        const { lib, client } = this.setup();
+        const pageCount = lib.addElement('count');
+        const orders = lib.addTree('orders-panel', '<span id="count">0</span>');
+        const presence = [];
+        client.subscribe('orders', null, orders);
+        client.subscribe('presence', (frame) => { presence.push(frame.subject); return false; });
+
+        await client._handleMessage('update|count|7|topic=orders');
+        await client._handleMessage('update|count|9|topic=presence');
+        await client._handleMessage('update|count|5|topic=billing');
+        await client._handleMessage('update|count|1');
+
+        if (orders.children[0].innerHTML !== '7') throw new Error('Scoped noun not updated');
+        if (pageCount.innerHTML !== '1') throw new Error(`Unscoped or foreign frame applied: ${pageCount.innerHTML}`);
+        if (presence.join(',') !== '9') throw new Error('Topic handler not called');
+        console.log('✅ Topic frames are routed to handlers and scopes');
+    }
+
+    // Topic Test: Scoped Batches
+    // JUSTIFICATION: Batch pre-checks must resolve nouns like the frames they apply
+    // - Tests that topic= sub-messages are checked inside the topic's DOM scope
+    // - Ensures a sub-message for a topic not subscribed to drops the whole batch
+    async testScopedBatches() {
+        const { lib, client } = this.setup();
+        const banner = lib.addElement('banner');
+        const orders = lib.addTree('orders-panel', '<span id="total">0</span>');
+        client.subscribe('orders', null, orders);
+
+        await client._handleMessage('batch||~update|total|7|topic=orders~|~update|banner|new~');
+        if (orders.children[0].innerHTML !== '7' || banner.innerHTML !== 'new') throw new Error('Scoped batch aborted');
+
+        await client._handleMessage('batch||~update|banner|stale~|~update|total|9|topic=billing~');
+        if (banner.innerHTML !== 'new') throw new Error(`Batch with an unsubscribed topic applied: ${banner.innerHTML}`);
+        console.log('✅ Batch sub-messages resolve nouns in their topic scope');
+    }
+
+    // Topic Test: Server Membership
+    // JUSTIFICATION: The companion must fan out per topic
+    // - Tests that publish() reaches only subscribed, authorized sockets with topic=
+    // - Ensures unsubscribe and socket close remove membership
+    async testServerMembership() {
+        const server = new WebSocketHypermediaServer(null, { authorizeTopic: (ws, topic) => topic !== 'admin' });
+        const [a, b] = [this.createPeer(), this.createPeer()];
+        server.attach(a);
+        server.attach(b);
+
+        await server.handle(a, 'subscribe||~orders~');
+        await server.handle(b, 'subscribe||~orders~');
+        await server.handle(b, 'subscribe||~admin~');
+        if (server.publish('orders', 'update', 'count', '3') !== 2 || server.publish('admin', 'update', 'x', '') !== 0) throw new Error('Unexpected fan-out');
+        if (a.sent[0] !== 'update|count|~3~|topic=orders') throw new Error(`Unexpected frame: ${a.sent[0]}`);
+
+        await server.handle(a, 'unsubscribe||~orders~');
+        b.emit('close');
+        if (server.publish('orders', 'update', 'count', '4') !== 0 || server.topics.size) throw new Error('Membership not cleaned up');
+        console.log('✅ Server companion tracks topic membership');
+    }
+}
+
+module.exports = TopicTests;
@@ -0,0 +1,95 @@
+/**
+ * Trusted Types Tests for WebSocket Hypermedia
+ * Tests for routing every HTML sink through a Trusted Types policy
+ */
+
+const { loadLibrary, createClient } = require('./library-loader');
+
+class TrustedTypesTests {
+    setup(options = {}) {
+        return createClient({ trustedTypes: 'wshm', ...options }, { lib: loadLibrary({ trustedTypes: true }) });
+    }
+
+    // Trusted Types Test: Named Policy
+    // JUSTIFICATION: Core Trusted Types support
+    // - Tests that a named policy is created once
+    // - Ensures innerHTML, outerHTML and insertAdjacentHTML receive TrustedHTML
+    // - Critical for pages enforcing require-trusted-types-for 'script'
+    async testNamedPolicyWrapsSinks() {
+        const { lib, client } = this.setup();
+        const content = lib.addElement('content');
+        const list = lib.addElement('list');
+        const card = lib.addElement('card');
+        const inserted = [];
+        list.insertAdjacentHTML = (position, html) => inserted.push(html);
+        Object.defineProperty(card, 'outerHTML', { set: (html) => inserted.push(html) });
+
+        await client._handleMessage('update|content|<p>Hi</p>');
+        await client._handleMessage('append|list|<li>A</li>');
+        await client._handleMessage('replace|card|<div>B</div>');
+
+        if (lib.window.trustedTypes.policies.join(',') !== 'wshm') throw new Error('Policy not created once');
+        if (!(content.innerHTML instanceof lib.TrustedHTML) || String(content.innerHTML) !== '<p>Hi</p>') throw new Error('innerHTML not trusted');
+        if (!inserted.every(html => html instanceof lib.TrustedHTML)) throw new Error('Sink received a string');
+        console.log('✅ Named policy wraps every HTML sink');
+    }
+
+    // Trusted Types Test: createHTML Callback
+    // JUSTIFICATION: Policy-level sanitization
+    // - Tests that the createHTML option runs inside the policy
+    // - Ensures morph parsing also goes through the policy
+    async testCreateHtmlCallback() {
+        const { lib, client } = this.setup({ createHTML: (html) => html.replace(/<script>.*<\/script>/, '') });
+        const content = lib.addElement('content');
+        const panel = lib.addTree('panel', '<p>Old</p>');
+
+        await client._handleMessage('update|content|<p>Hi</p><script>x()</script>');
+        await client._handleMessage('morph|panel|<p>New</p><script>x()</script>');
+
+        if (String(content.innerHTML) !== '<p>Hi</p>') throw new Error('createHTML not applied');
+        if (panel.childNodes.map(lib.serialize).join('') !== '<p>New</p>') throw new Error('Morph bypassed the policy');
+        console.log('✅ createHTML callback runs inside the policy');
+    }
+
+    // Trusted Types Test: Existing Policy and Fallback
+    // JUSTIFICATION: Integration with application-owned policies
+    // - Tests that a policy object is used as-is
+    // - Ensures plain strings are used when Trusted Types is unavailable
+    async testPolicyObjectAndFallback() {
+        const { lib, client } = this.setup({ trustedTypes: { createHTML: (html) => new (class { toString() { return `[${html}]`; } })() } });
+        const content = lib.addElement('content');
+        await client._handleMessage('update|content|<p>Hi</p>');
+        if (String(content.innerHTML) !== '[<p>Hi</p>]' || lib.window.trustedTypes.policies.length) throw new Error('Policy object not used');
+
+        const { lib: plain, client: fallback } = createClient({ trustedTypes: 'wshm' });
+        const el = plain.addElement('content');
+        await fallback._handleMessage('update|content|<p>Hi</p>');
+        if (el.innerHTML !== '<p>Hi</p>') throw new Error('Fallback did not use strings');
+        console.log('✅ Policy objects are accepted and strings used without Trusted Types');
+    }
+
+    // Trusted Types Test: Shared Policy Name
+    // JUSTIFICATION: Browsers refuse a second policy with the same name
+    // - Tests that clients with the same policy name share one policy and keep their own createHTML
+    // - Ensures a refused policy name is reported as an error instead of throwing
+    async testSharedPolicyName() {
+        const lib = loadLibrary({ trustedTypes: true });
+        const { client: first } = createClient({ trustedTypes: 'wshm', createHTML: (html) => html.toUpperCase() }, { lib });
+        const { client: second } = createClient({ trustedTypes: 'wshm' }, { lib });
+        const content = lib.addElement('content');
+        await first._handleMessage('update|content|<b>a</b>');
+        const upper = String(content.innerHTML);
+        await second._handleMessage('update|content|<b>b</b>');
+
+        if (lib.window.trustedTypes.policies.join(',') !== 'wshm') throw new Error(`Unexpected policies: ${lib.window.trustedTypes.policies}`);
+        if (upper !== '<B>A</B>' || String(content.innerHTML) !== '<b>b</b>') throw new Error('Clients did not keep their own createHTML');
+
+        const errors = [];
+        lib.window.trustedTypes.createPolicy('taken', {});
+        createClient({ trustedTypes: 'taken', onError: (err) => errors.push(err) }, { lib });
+        if (errors.length !== 1) throw new Error('Refused policy name not reported');
+        console.log('✅ Clients share a policy per name and report refused names');
+    }
+}
+
+module.exports = TrustedTypesTests;
@@ -32,6 +32,29 @@
  *   event         - Event tests only
  *   form          - Form tests only
  *   animation     - Animation tests only
+ *   batch         - Batch envelope tests only
+ *   selector      - CSS selector targeting tests only
+ *   binding       - Declarative binding tests only
+ *   queue         - Offline queue tests only
+ *   request       - Request/response correlation tests only
+ *   server        - Server companion module tests
+ *   history       - History and URL verb tests
+ *   morph         - DOM morphing tests
+ *   sanitize      - HTML sanitization tests
+ *   trusted-types - Trusted Types policy tests
+ *   policy        - Verb policy tests
+ *   signature     - Message signature tests
+ *   security-events- Security event stream tests
+ *   rate-limit    - Run inbound rate limiting tests
+ *   reconnect-policy- Run reconnect policy tests
+ *   heartbeat     - Run heartbeat and dead-connection tests
+ *   resume        - Run session resumption tests
+ *   state         - Run connection state machine tests
+ *   shared        - Run cross-tab shared connection tests
+ *   topics        - Run topic subscription tests
+ *   middleware    - Run middleware pipeline tests
+ *   plugins       - Plugin registration, namespaced verbs, options, middleware and hooks
+ *   animation-registry- Named per-element animation registry and state replies
  *   security      - Security tests only
  */
 
@@ -55,6 +78,29 @@ const StyleTests = require('./style-tests');
 const EventTests = require('./event-tests');
 const FormTests = require('./form-tests');
 const AnimationTests = require('./animation-tests');
+const BatchTests = require('./batch-tests');
+const SelectorTests = require('./selector-tests');
+const BindingTests = require('./binding-tests');
+const QueueTests = require('./queue-tests');
+const RequestTests = require('./request-tests');
+const ServerTests = require('./server-tests');
+const HistoryTests = require('./history-tests');
+const MorphTests = require('./morph-tests');
+const SanitizeTests = require('./sanitize-tests');
+const TrustedTypesTests = require('./trusted-types-tests');
+const PolicyTests = require('./policy-tests');
+const SignatureTests = require('./signature-tests');
+const SecurityEventTests = require('./security-event-tests');
+const RateLimitTests = require('./rate-limit-tests');
+const ReconnectPolicyTests = require('./reconnect-policy-tests');
+const HeartbeatTests = require('./heartbeat-tests');
+const ResumeTests = require('./resume-tests');
+const StateTests = require('./state-tests');
+const SharedConnectionTests = require('./shared-connection-tests');
+const TopicTests = require('./topic-tests');
+const MiddlewareTests = require('./middleware-tests');
+const PluginTests = require('./plugin-tests');
+const AnimationRegistryTests = require('./animation-registry-tests');
 const SecurityTests = require('./security-tests');
 
 class UnifiedTestRunner {
@@ -82,6 +128,29 @@ class UnifiedTestRunner {
         this.eventTests = new EventTests();
         this.formTests = new FormTests();
         this.animationTests = new AnimationTests();
+        this.batchTests = new BatchTests();
+        this.selectorTests = new SelectorTests();
+        this.bindingTests = new BindingTests();
+        this.queueTests = new QueueTests();
+        this.requestTests = new RequestTests();
+        this.serverTests = new ServerTests();
+        this.historyTests = new HistoryTests();
+        this.morphTests = new MorphTests();
+        this.sanitizeTests = new SanitizeTests();
+        this.trustedTypesTests = new TrustedTypesTests();
+        this.policyTests = new PolicyTests();
+        this.signatureTests = new SignatureTests();
+        this.securityEventTests = new SecurityEventTests();
+        this.rateLimitTests = new RateLimitTests();
+        this.reconnectPolicyTests = new ReconnectPolicyTests();
+        this.heartbeatTests = new HeartbeatTests();
+        this.resumeTests = new ResumeTests();
+        this.stateTests = new StateTests();
+        this.sharedConnectionTests = new SharedConnectionTests();
+        this.topicTests = new TopicTests();
+        this.middlewareTests = new MiddlewareTests();
+        this.pluginTests = new PluginTests();
+        this.animationRegistryTests = new AnimationRegistryTests();
         this.securityTests = new SecurityTests();
 
         // Define test categories
@@ -91,7 +160,7 @@ class UnifiedTestRunner {
                 description: 'Core functionality tests that should always pass',
                 suites: [
                     { name: 'Core Tests', instance: this.coreTests, tests: ['testWebSocketConnection', 'testOptionsPassing', 'testAllActions'] },
-                    { name: 'Escape Tests', instance: this.escapeTests, tests: ['testDefaultEscapeCharacter', 'testCustomEscapeCharacter', 'testEscapeCharacterWithPipes', 'testEscapeCharacterHelperMethods'] }
+                    { name: 'Escape Tests', instance: this.escapeTests, tests: ['testDefaultEscapeCharacter', 'testCustomEscapeCharacter', 'testEscapeCharacterWithPipes', 'testEscapeCharacterHelperMethods', 'testFieldEncodingRoundTrip', 'testLiteralEscapeCharacter'] }
                 ]
             },
             'non-essential': {
@@ -110,8 +179,31 @@ class UnifiedTestRunner {
                     { name: 'Attribute Tests', instance: this.attributeTests, tests: ['testSetAttrSingle', 'testSetAttrMultiple', 'testSetAttrDataAttributes', 'testSetAttrBoolean', 'testSetAttrEmptyValue', 'testSetAttrSpecialChars', 'testRemoveAttrSingle', 'testRemoveAttrDataAttribute', 'testRemoveAttrNonExistent', 'testRemoveAttrEmpty', 'testSetAttrNonExistentElement', 'testSetAttrInvalidElementId', 'testSetAttrLongValue', 'testSetAttrUnicodeValue', 'testSetAttrEscapedValue', 'testSetAttrWithOptions', 'testFormStateManagement', 'testAccessibilityAttributes'] },
                     { name: 'Style Tests', instance: this.styleTests, tests: ['testSetStyleSingle', 'testSetStyleMultiple', 'testSetStyleWithUnits', 'testSetStyleWithSpaces', 'testSetStyleEmptyValue', 'testSetStyleSpecialChars', 'testRemoveStyleSingle', 'testRemoveStyleMultiple', 'testRemoveStyleNonExistent', 'testRemoveStyleEmpty', 'testSetStyleNonExistentElement', 'testSetStyleInvalidElementId', 'testSetStyleLongValue', 'testSetStyleUnicodeValue', 'testSetStyleEscapedValue', 'testSetStyleWithOptions', 'testAnimationStateManagement', 'testResponsiveDesign', 'testCssCustomProperties'] },
                     { name: 'Event Tests', instance: this.eventTests, tests: ['testTriggerClickEvent', 'testTriggerMultipleEvents', 'testTriggerCustomEvent', 'testTriggerFormEvents', 'testTriggerInputEvents', 'testTriggerKeyboardEvents', 'testTriggerMouseEvents', 'testTriggerFocusEvents', 'testTriggerChangeEvents', 'testTriggerWithEventData', 'testTriggerNonExistentElement', 'testTriggerInvalidElementId', 'testTriggerEmptyEventType', 'testTriggerLongEventData', 'testTriggerUnicodeEventData', 'testTriggerEscapedEventData', 'testTriggerWithOptions', 'testFormValidationTrigger', 'testAccessibilityTrigger'] },
-                    { name: 'Form Tests', instance: this.formTests, tests: ['testSetInputValue', 'testSetTextareaValue', 'testSetCheckboxChecked', 'testSetCheckboxUnchecked', 'testSetRadioSelected', 'testSetSelectOption', 'testSetMultipleSelectOptions', 'testSetFileInputValue', 'testSetRangeInputValue', 'testSetDateInputValue', 'testSetTimeInputValue', 'testSetColorInputValue', 'testSetEmailInputValue', 'testSetPasswordInputValue', 'testSetNumberInputValue', 'testSetUrlInputValue', 'testSetSearchInputValue', 'testSetTelInputValue', 'testSetEmptyValue', 'testSetValueWithSpecialChars', 'testSetValueNonExistentElement', 'testSetValueInvalidElementId', 'testSetLongValue', 'testSetUnicodeValue', 'testSetEscapedValue', 'testSetValueWithOptions', 'testFormAutoFill', 'testFormValidation', 'testFormReset'] },
-                    { name: 'Animation Tests', instance: this.animationTests, tests: ['testBasicAnimation', 'testAnimationWithDuration', 'testAnimationWithEasing', 'testAnimationWithDelay', 'testMultipleAnimations', 'testCssTransition', 'testTransitionWithProperties', 'testRemoveAnimation', 'testPauseAnimation', 'testResumeAnimation', 'testAnimationState', 'testKeyframeAnimation', 'testTransformAnimation', 'testScaleAnimation', 'testColorTransition', 'testAnimationLoop', 'testAnimationDirection', 'testAnimationFillMode', 'testAnimationNonExistentElement', 'testAnimationInvalidElementId', 'testLongAnimationName', 'testUnicodeAnimationName', 'testEscapedAnimationName', 'testAnimationWithOptions', 'testAnimationSequence', 'testAnimationPerformance', 'testAnimationCleanup'] }
+                    { name: 'Form Tests', instance: this.formTests, tests: ['testSetInputValue', 'testSetTextareaValue', 'testSetCheckboxChecked', 'testSetCheckboxUnchecked', 'testSetRadioSelected', 'testSetSelectOption', 'testSetMultipleSelectOptions', 'testSetFileInputValue', 'testSetRangeInputValue', 'testSetDateInputValue', 'testSetTimeInputValue', 'testSetColorInputValue', 'testSetEmailInputValue', 'testSetPasswordInputValue', 'testSetNumberInputValue', 'testSetUrlInputValue', 'testSetSearchInputValue', 'testSetTelInputValue', 'testSetEmptyValue', 'testSetValueWithSpecialChars', 'testSetValueNonExistentElement', 'testSetValueInvalidElementId', 'testSetLongValue', 'testSetUnicodeValue', 'testSetEscapedValue', 'testSetValueWithOptions', 'testFormAutoFill', 'testFormValidation', 'testFormReset', 'testSerializeFormUrlEncoded', 'testSerializeFormJson', 'testSendFormAndSubmitBinding'] },
+                    { name: 'Animation Tests', instance: this.animationTests, tests: ['testBasicAnimation', 'testAnimationWithDuration', 'testAnimationWithEasing', 'testAnimationWithDelay', 'testMultipleAnimations', 'testCssTransition', 'testTransitionWithProperties', 'testRemoveAnimation', 'testPauseAnimation', 'testResumeAnimation', 'testAnimationState', 'testKeyframeAnimation', 'testTransformAnimation', 'testScaleAnimation', 'testColorTransition', 'testAnimationLoop', 'testAnimationDirection', 'testAnimationFillMode', 'testAnimationNonExistentElement', 'testAnimationInvalidElementId', 'testLongAnimationName', 'testUnicodeAnimationName', 'testEscapedAnimationName', 'testAnimationWithOptions', 'testAnimationSequence', 'testAnimationPerformance', 'testAnimationCleanup'] },
+                    { name: 'Batch Tests', instance: this.batchTests, tests: ['testBatchAppliesAllOperations', 'testBatchAbortsWhenNounMissing', 'testBatchRejectsInvalidSubMessages', 'testBatchPreservesOrder', 'testInheritedNamesAreNotVerbs'] },
+                    { name: 'Selector Tests', instance: this.selectorTests, tests: ['testAllMatchesSelector', 'testSingleMatchSelector', 'testRemoveAllMatches', 'testSelectorsDisabledByDefault', 'testInvalidSelectorIgnored', 'testIdMessagesUnaffected'] },
+                    { name: 'Binding Tests', instance: this.bindingTests, tests: ['testClickSendsFrame', 'testDelegatedClick', 'testChangeSendsValue', 'testSubmitPreventsDefault', 'testBindingsOptInAndDestroy'] },
+                    { name: 'Queue Tests', instance: this.queueTests, tests: ['testQueueReplaysInOrder', 'testQueueSizeLimit', 'testQueueTtlExpiry', 'testQueuePersistence', 'testQueueDisabledByDefault'] },
+                    { name: 'Request Tests', instance: this.requestTests, tests: ['testReplyResolvesRequest', 'testDomReplyAppliedAndUntaggedIgnored', 'testRequestTimeout', 'testRequestRejectsOnDisconnect', 'testSettingsArgumentAndErrors'] },
+                    { name: 'Server Companion Tests', instance: this.serverTests, tests: ['testParserParity', 'testMessageBuilders', 'testVerbRouting', 'testHelpersAndBroadcast'] },
+                    { name: 'History Tests', instance: this.historyTests, tests: ['testUrlAndTitleVerbs', 'testBatchSwapAndPush', 'testCrossOriginUrlIgnored', 'testPopstateSendsNavigation'] },
+                    { name: 'Morph Tests', instance: this.morphTests, tests: ['testMorphPreservesFormState', 'testMorphKeyedReorder', 'testMorphSyncsAttributesAndText', 'testUpdateMorphOption'] },
+                    { name: 'Sanitize Tests', instance: this.sanitizeTests, tests: ['testStripsScriptsHandlersAndUrls', 'testAllContentVerbsSanitized', 'testCustomAllowLists', 'testCustomSanitizerFunction', 'testSetAttrAndDefaults'] },
+                    { name: 'Trusted Types Tests', instance: this.trustedTypesTests, tests: ['testNamedPolicyWrapsSinks', 'testCreateHtmlCallback', 'testPolicyObjectAndFallback', 'testSharedPolicyName'] },
+                    { name: 'Policy Tests', instance: this.policyTests, tests: ['testVerbAllowAndDenyLists', 'testSubjectRules', 'testNounAndFunctionRules', 'testBatchRefusedAtomically'] },
+                    { name: 'Signature Tests', instance: this.signatureTests, tests: ['testVerifiesSignedFrames', 'testServerSignsFrames', 'testFramesStayOrdered', 'testDisabledByDefault'] },
+                    { name: 'Security Event Tests', instance: this.securityEventTests, tests: ['testEventCodes', 'testPayloadTruncation', 'testBatchedReporting'] },
+                    { name: 'Rate Limit Tests', instance: this.rateLimitTests, tests: ['testGlobalLimitDrops', 'testPerVerbLimits', 'testCoalesceAppliesLatest', 'testCloseAfterViolations', 'testPrototypeVerbs', 'testBatchSubMessages'] },
+                    { name: 'Reconnect Policy Tests', instance: this.reconnectPolicyTests, tests: ['testCappedBackoffAndEvents', 'testJitterBounds', 'testCustomPolicyAndGaveUp', 'testOnlineAndVisibilityResume'] },
+                    { name: 'Heartbeat Tests', instance: this.heartbeatTests, tests: ['testPingAndLatency', 'testTimeoutClosesAndReconnects', 'testTrafficKeepsAliveAndDefaults'] },
+                    { name: 'Session Resumption Tests', instance: this.resumeTests, tests: ['testReplaysMissedFrames', 'testSkipsDuplicates', 'testResyncBeyondBuffer', 'testResumesFromInitialPosition', 'testDisabledByDefault'] },
+                    { name: 'Connection State Tests', instance: this.stateTests, tests: ['testLifecycleTransitions', 'testDisconnectStopsReconnecting', 'testOnOffSubscribers', 'testHtmlClasses'] },
+                    { name: 'Shared Connection Tests', instance: this.sharedConnectionTests, tests: ['testLeaderFansOutFrames', 'testFollowerSendsThroughLeader', 'testFollowersMuteReplies', 'testNextTabTakesOver', 'testFallbackWithoutChannel'] },
+                    { name: 'Topic Subscription Tests', instance: this.topicTests, tests: ['testControlFramesAndResubscribe', 'testRoutingHandlersAndScopes', 'testScopedBatches', 'testServerMembership'] },
+                    { name: 'Middleware Tests', instance: this.middlewareTests, tests: ['testInboundTransformAndVeto', 'testDeferAndPostHooks', 'testOutboundAndRemoval', 'testBatchSubMessages'] },
+                    { name: 'Plugin Tests', instance: this.pluginTests, tests: ['testNamespacedVerbs', 'testOptionsMiddlewareAndHooks', 'testNameCollisions'] },
+                    { name: 'Animation Registry Tests', instance: this.animationRegistryTests, tests: ['testNamedAnimationsAndState', 'testSeekRestartAndRemove'] }
                 ]
             },
             full: {
@@ -120,7 +212,7 @@ class UnifiedTestRunner {
                 suites: [
                     { name: 'Core Tests', instance: this.coreTests, tests: ['testWebSocketConnection', 'testOptionsPassing', 'testAllActions'] },
                     { name: 'Edge Case Tests', instance: this.edgeCaseTests, tests: ['testEmptyContent', 'testLargeContent', 'testSpecialCharacters', 'testNestedHTML', 'testFormSubmission', 'testInvalidElementId', 'testMalformedMessage', 'testRapidFireMessages', 'testConnectionRecovery'] },
-                    { name: 'Escape Tests', instance: this.escapeTests, tests: ['testDefaultEscapeCharacter', 'testCustomEscapeCharacter', 'testEscapeCharacterWithPipes', 'testEscapeCharacterHelperMethods'] },
+                    { name: 'Escape Tests', instance: this.escapeTests, tests: ['testDefaultEscapeCharacter', 'testCustomEscapeCharacter', 'testEscapeCharacterWithPipes', 'testEscapeCharacterHelperMethods', 'testFieldEncodingRoundTrip', 'testLiteralEscapeCharacter'] },
                     { name: 'Data-URL Tests', instance: this.dataUrlTests, tests: ['testBasicDataUrlInitialization', 'testDataUrlWithCustomConfig', 'testDataUrlWithMessageHandlers', 'testDataUrlWithInteractiveElements', 'testDataUrlErrorHandling', 'testDataUrlMultipleScriptTags', 'testDataUrlDifferentFormats'] },
                     { name: 'Size Tests', instance: this.sizeTests, tests: ['testUncompressedSize', 'testGzippedSize', 'testCompressionRatio', 'testSizeGrowthMonitoring', 'testCommentPolicyCompliance'] },
                     { name: 'Browser Compatibility Tests', instance: this.browserCompatibilityTests, tests: ['testWebSocketAPISupport', 'testES5Compatibility', 'testDOMAPICompatibility', 'testNoExternalDependencies', 'testGlobalObjectCompatibility', 'testErrorHandlingCompatibility'] },
@@ -132,15 +224,38 @@ class UnifiedTestRunner {
                     { name: 'Attribute Tests', instance: this.attributeTests, tests: ['testSetAttrSingle', 'testSetAttrMultiple', 'testSetAttrDataAttributes', 'testSetAttrBoolean', 'testSetAttrEmptyValue', 'testSetAttrSpecialChars', 'testRemoveAttrSingle', 'testRemoveAttrDataAttribute', 'testRemoveAttrNonExistent', 'testRemoveAttrEmpty', 'testSetAttrNonExistentElement', 'testSetAttrInvalidElementId', 'testSetAttrLongValue', 'testSetAttrUnicodeValue', 'testSetAttrEscapedValue', 'testSetAttrWithOptions', 'testFormStateManagement', 'testAccessibilityAttributes'] },
                     { name: 'Style Tests', instance: this.styleTests, tests: ['testSetStyleSingle', 'testSetStyleMultiple', 'testSetStyleWithUnits', 'testSetStyleWithSpaces', 'testSetStyleEmptyValue', 'testSetStyleSpecialChars', 'testRemoveStyleSingle', 'testRemoveStyleMultiple', 'testRemoveStyleNonExistent', 'testRemoveStyleEmpty', 'testSetStyleNonExistentElement', 'testSetStyleInvalidElementId', 'testSetStyleLongValue', 'testSetStyleUnicodeValue', 'testSetStyleEscapedValue', 'testSetStyleWithOptions', 'testAnimationStateManagement', 'testResponsiveDesign', 'testCssCustomProperties'] },
                     { name: 'Event Tests', instance: this.eventTests, tests: ['testTriggerClickEvent', 'testTriggerMultipleEvents', 'testTriggerCustomEvent', 'testTriggerFormEvents', 'testTriggerInputEvents', 'testTriggerKeyboardEvents', 'testTriggerMouseEvents', 'testTriggerFocusEvents', 'testTriggerChangeEvents', 'testTriggerWithEventData', 'testTriggerNonExistentElement', 'testTriggerInvalidElementId', 'testTriggerEmptyEventType', 'testTriggerLongEventData', 'testTriggerUnicodeEventData', 'testTriggerEscapedEventData', 'testTriggerWithOptions', 'testFormValidationTrigger', 'testAccessibilityTrigger'] },
-                    { name: 'Form Tests', instance: this.formTests, tests: ['testSetInputValue', 'testSetTextareaValue', 'testSetCheckboxChecked', 'testSetCheckboxUnchecked', 'testSetRadioSelected', 'testSetSelectOption', 'testSetMultipleSelectOptions', 'testSetFileInputValue', 'testSetRangeInputValue', 'testSetDateInputValue', 'testSetTimeInputValue', 'testSetColorInputValue', 'testSetEmailInputValue', 'testSetPasswordInputValue', 'testSetNumberInputValue', 'testSetUrlInputValue', 'testSetSearchInputValue', 'testSetTelInputValue', 'testSetEmptyValue', 'testSetValueWithSpecialChars', 'testSetValueNonExistentElement', 'testSetValueInvalidElementId', 'testSetLongValue', 'testSetUnicodeValue', 'testSetEscapedValue', 'testSetValueWithOptions', 'testFormAutoFill', 'testFormValidation', 'testFormReset'] },
+                    { name: 'Form Tests', instance: this.formTests, tests: ['testSetInputValue', 'testSetTextareaValue', 'testSetCheckboxChecked', 'testSetCheckboxUnchecked', 'testSetRadioSelected', 'testSetSelectOption', 'testSetMultipleSelectOptions', 'testSetFileInputValue', 'testSetRangeInputValue', 'testSetDateInputValue', 'testSetTimeInputValue', 'testSetColorInputValue', 'testSetEmailInputValue', 'testSetPasswordInputValue', 'testSetNumberInputValue', 'testSetUrlInputValue', 'testSetSearchInputValue', 'testSetTelInputValue', 'testSetEmptyValue', 'testSetValueWithSpecialChars', 'testSetValueNonExistentElement', 'testSetValueInvalidElementId', 'testSetLongValue', 'testSetUnicodeValue', 'testSetEscapedValue', 'testSetValueWithOptions', 'testFormAutoFill', 'testFormValidation', 'testFormReset', 'testSerializeFormUrlEncoded', 'testSerializeFormJson', 'testSendFormAndSubmitBinding'] },
                     { name: 'Animation Tests', instance: this.animationTests, tests: ['testBasicAnimation', 'testAnimationWithDuration', 'testAnimationWithEasing', 'testAnimationWithDelay', 'testMultipleAnimations', 'testCssTransition', 'testTransitionWithProperties', 'testRemoveAnimation', 'testPauseAnimation', 'testResumeAnimation', 'testAnimationState', 'testKeyframeAnimation', 'testTransformAnimation', 'testScaleAnimation', 'testColorTransition', 'testAnimationLoop', 'testAnimationDirection', 'testAnimationFillMode', 'testAnimationNonExistentElement', 'testAnimationInvalidElementId', 'testLongAnimationName', 'testUnicodeAnimationName', 'testEscapedAnimationName', 'testAnimationWithOptions', 'testAnimationSequence', 'testAnimationPerformance', 'testAnimationCleanup'] },
+                    { name: 'Batch Tests', instance: this.batchTests, tests: ['testBatchAppliesAllOperations', 'testBatchAbortsWhenNounMissing', 'testBatchRejectsInvalidSubMessages', 'testBatchPreservesOrder', 'testInheritedNamesAreNotVerbs'] },
+                    { name: 'Selector Tests', instance: this.selectorTests, tests: ['testAllMatchesSelector', 'testSingleMatchSelector', 'testRemoveAllMatches', 'testSelectorsDisabledByDefault', 'testInvalidSelectorIgnored', 'testIdMessagesUnaffected'] },
+                    { name: 'Binding Tests', instance: this.bindingTests, tests: ['testClickSendsFrame', 'testDelegatedClick', 'testChangeSendsValue', 'testSubmitPreventsDefault', 'testBindingsOptInAndDestroy'] },
+                    { name: 'Queue Tests', instance: this.queueTests, tests: ['testQueueReplaysInOrder', 'testQueueSizeLimit', 'testQueueTtlExpiry', 'testQueuePersistence', 'testQueueDisabledByDefault'] },
+                    { name: 'Request Tests', instance: this.requestTests, tests: ['testReplyResolvesRequest', 'testDomReplyAppliedAndUntaggedIgnored', 'testRequestTimeout', 'testRequestRejectsOnDisconnect', 'testSettingsArgumentAndErrors'] },
+                    { name: 'Server Companion Tests', instance: this.serverTests, tests: ['testParserParity', 'testMessageBuilders', 'testVerbRouting', 'testHelpersAndBroadcast'] },
+                    { name: 'History Tests', instance: this.historyTests, tests: ['testUrlAndTitleVerbs', 'testBatchSwapAndPush', 'testCrossOriginUrlIgnored', 'testPopstateSendsNavigation'] },
+                    { name: 'Morph Tests', instance: this.morphTests, tests: ['testMorphPreservesFormState', 'testMorphKeyedReorder', 'testMorphSyncsAttributesAndText', 'testUpdateMorphOption'] },
+                    { name: 'Sanitize Tests', instance: this.sanitizeTests, tests: ['testStripsScriptsHandlersAndUrls', 'testAllContentVerbsSanitized', 'testCustomAllowLists', 'testCustomSanitizerFunction', 'testSetAttrAndDefaults'] },
+                    { name: 'Trusted Types Tests', instance: this.trustedTypesTests, tests: ['testNamedPolicyWrapsSinks', 'testCreateHtmlCallback', 'testPolicyObjectAndFallback', 'testSharedPolicyName'] },
+                    { name: 'Policy Tests', instance: this.policyTests, tests: ['testVerbAllowAndDenyLists', 'testSubjectRules', 'testNounAndFunctionRules', 'testBatchRefusedAtomically'] },
+                    { name: 'Signature Tests', instance: this.signatureTests, tests: ['testVerifiesSignedFrames', 'testServerSignsFrames', 'testFramesStayOrdered', 'testDisabledByDefault'] },
+                    { name: 'Security Event Tests', instance: this.securityEventTests, tests: ['testEventCodes', 'testPayloadTruncation', 'testBatchedReporting'] },
+                    { name: 'Rate Limit Tests', instance: this.rateLimitTests, tests: ['testGlobalLimitDrops', 'testPerVerbLimits', 'testCoalesceAppliesLatest', 'testCloseAfterViolations', 'testPrototypeVerbs', 'testBatchSubMessages'] },
+                    { name: 'Reconnect Policy Tests', instance: this.reconnectPolicyTests, tests: ['testCappedBackoffAndEvents', 'testJitterBounds', 'testCustomPolicyAndGaveUp', 'testOnlineAndVisibilityResume'] },
+                    { name: 'Heartbeat Tests', instance: this.heartbeatTests, tests: ['testPingAndLatency', 'testTimeoutClosesAndReconnects', 'testTrafficKeepsAliveAndDefaults'] },
+                    { name: 'Session Resumption Tests', instance: this.resumeTests, tests: ['testReplaysMissedFrames', 'testSkipsDuplicates', 'testResyncBeyondBuffer', 'testResumesFromInitialPosition', 'testDisabledByDefault'] },
+                    { name: 'Connection State Tests', instance: this.stateTests, tests: ['testLifecycleTransitions', 'testDisconnectStopsReconnecting', 'testOnOffSubscribers', 'testHtmlClasses'] },
+                    { name: 'Shared Connection Tests', instance: this.sharedConnectionTests, tests: ['testLeaderFansOutFrames', 'testFollowerSendsThroughLeader', 'testFollowersMuteReplies', 'testNextTabTakesOver', 'testFallbackWithoutChannel'] },
+                    { name: 'Topic Subscription Tests', instance: this.topicTests, tests: ['testControlFramesAndResubscribe', 'testRoutingHandlersAndScopes', 'testScopedBatches', 'testServerMembership'] },
+                    { name: 'Middleware Tests', instance: this.middlewareTests, tests: ['testInboundTransformAndVeto', 'testDeferAndPostHooks', 'testOutboundAndRemoval', 'testBatchSubMessages'] },
+                    { name: 'Plugin Tests', instance: this.pluginTests, tests: ['testNamespacedVerbs', 'testOptionsMiddlewareAndHooks', 'testNameCollisions'] },
+                    { name: 'Animation Registry Tests', instance: this.animationRegistryTests, tests: ['testNamedAnimationsAndState', 'testSeekRestartAndRemove'] },
                     { name: 'Security Tests', instance: this.securityTests, tests: ['runAllTests'] }
                 ]
             },
             // Individual test suites
             core: { name: 'Core Tests', instance: this.coreTests, tests: ['testWebSocketConnection', 'testOptionsPassing', 'testAllActions'] },
             edge: { name: 'Edge Case Tests', instance: this.edgeCaseTests, tests: ['testEmptyContent', 'testLargeContent', 'testSpecialCharacters', 'testNestedHTML', 'testFormSubmission', 'testInvalidElementId', 'testMalformedMessage', 'testRapidFireMessages', 'testConnectionRecovery'] },
-            escape: { name: 'Escape Tests', instance: this.escapeTests, tests: ['testDefaultEscapeCharacter', 'testCustomEscapeCharacter', 'testEscapeCharacterWithPipes', 'testEscapeCharacterHelperMethods'] },
+            escape: { name: 'Escape Tests', instance: this.escapeTests, tests: ['testDefaultEscapeCharacter', 'testCustomEscapeCharacter', 'testEscapeCharacterWithPipes', 'testEscapeCharacterHelperMethods', 'testFieldEncodingRoundTrip', 'testLiteralEscapeCharacter'] },
             'data-url': { name: 'Data-URL Tests', instance: this.dataUrlTests, tests: ['testBasicDataUrlInitialization', 'testDataUrlWithCustomConfig', 'testDataUrlWithMessageHandlers', 'testDataUrlWithInteractiveElements', 'testDataUrlErrorHandling', 'testDataUrlMultipleScriptTags', 'testDataUrlDifferentFormats'] },
             size: { name: 'Size Tests', instance: this.sizeTests, tests: ['testUncompressedSize', 'testGzippedSize', 'testCompressionRatio', 'testSizeGrowthMonitoring', 'testCommentPolicyCompliance'] },
             browser: { name: 'Browser Compatibility Tests', instance: this.browserCompatibilityTests, tests: ['testWebSocketAPISupport', 'testES5Compatibility', 'testDOMAPICompatibility', 'testNoExternalDependencies', 'testGlobalObjectCompatibility', 'testErrorHandlingCompatibility'] },
@@ -152,8 +267,31 @@ class UnifiedTestRunner {
             attribute: { name: 'Attribute Tests', instance: this.attributeTests, tests: ['testSetAttrSingle', 'testSetAttrMultiple', 'testSetAttrDataAttributes', 'testSetAttrBoolean', 'testSetAttrEmptyValue', 'testSetAttrSpecialChars', 'testRemoveAttrSingle', 'testRemoveAttrDataAttribute', 'testRemoveAttrNonExistent', 'testRemoveAttrEmpty', 'testSetAttrNonExistentElement', 'testSetAttrInvalidElementId', 'testSetAttrLongValue', 'testSetAttrUnicodeValue', 'testSetAttrEscapedValue', 'testSetAttrWithOptions', 'testFormStateManagement', 'testAccessibilityAttributes'] },
             style: { name: 'Style Tests', instance: this.styleTests, tests: ['testSetStyleSingle', 'testSetStyleMultiple', 'testSetStyleWithUnits', 'testSetStyleWithSpaces', 'testSetStyleEmptyValue', 'testSetStyleSpecialChars', 'testRemoveStyleSingle', 'testRemoveStyleMultiple', 'testRemoveStyleNonExistent', 'testRemoveStyleEmpty', 'testSetStyleNonExistentElement', 'testSetStyleInvalidElementId', 'testSetStyleLongValue', 'testSetStyleUnicodeValue', 'testSetStyleEscapedValue', 'testSetStyleWithOptions', 'testAnimationStateManagement', 'testResponsiveDesign', 'testCssCustomProperties'] },
             event: { name: 'Event Tests', instance: this.eventTests, tests: ['testTriggerClickEvent', 'testTriggerMultipleEvents', 'testTriggerCustomEvent', 'testTriggerFormEvents', 'testTriggerInputEvents', 'testTriggerKeyboardEvents', 'testTriggerMouseEvents', 'testTriggerFocusEvents', 'testTriggerChangeEvents', 'testTriggerWithEventData', 'testTriggerNonExistentElement', 'testTriggerInvalidElementId', 'testTriggerEmptyEventType', 'testTriggerLongEventData', 'testTriggerUnicodeEventData', 'testTriggerEscapedEventData', 'testTriggerWithOptions', 'testFormValidationTrigger', 'testAccessibilityTrigger'] },
-            form: { name: 'Form Tests', instance: this.formTests, tests: ['testSetInputValue', 'testSetTextareaValue', 'testSetCheckboxChecked', 'testSetCheckboxUnchecked', 'testSetRadioSelected', 'testSetSelectOption', 'testSetMultipleSelectOptions', 'testSetFileInputValue', 'testSetRangeInputValue', 'testSetDateInputValue', 'testSetTimeInputValue', 'testSetColorInputValue', 'testSetEmailInputValue', 'testSetPasswordInputValue', 'testSetNumberInputValue', 'testSetUrlInputValue', 'testSetSearchInputValue', 'testSetTelInputValue', 'testSetEmptyValue', 'testSetValueWithSpecialChars', 'testSetValueNonExistentElement', 'testSetValueInvalidElementId', 'testSetLongValue', 'testSetUnicodeValue', 'testSetEscapedValue', 'testSetValueWithOptions', 'testFormAutoFill', 'testFormValidation', 'testFormReset'] },
+            form: { name: 'Form Tests', instance: this.formTests, tests: ['testSetInputValue', 'testSetTextareaValue', 'testSetCheckboxChecked', 'testSetCheckboxUnchecked', 'testSetRadioSelected', 'testSetSelectOption', 'testSetMultipleSelectOptions', 'testSetFileInputValue', 'testSetRangeInputValue', 'testSetDateInputValue', 'testSetTimeInputValue', 'testSetColorInputValue', 'testSetEmailInputValue', 'testSetPasswordInputValue', 'testSetNumberInputValue', 'testSetUrlInputValue', 'testSetSearchInputValue', 'testSetTelInputValue', 'testSetEmptyValue', 'testSetValueWithSpecialChars', 'testSetValueNonExistentElement', 'testSetValueInvalidElementId', 'testSetLongValue', 'testSetUnicodeValue', 'testSetEscapedValue', 'testSetValueWithOptions', 'testFormAutoFill', 'testFormValidation', 'testFormReset', 'testSerializeFormUrlEncoded', 'testSerializeFormJson', 'testSendFormAndSubmitBinding'] },
             animation: { name: 'Animation Tests', instance: this.animationTests, tests: ['testBasicAnimation', 'testAnimationWithDuration', 'testAnimationWithEasing', 'testAnimationWithDelay', 'testMultipleAnimations', 'testCssTransition', 'testTransitionWithProperties', 'testRemoveAnimation', 'testPauseAnimation', 'testResumeAnimation', 'testAnimationState', 'testKeyframeAnimation', 'testTransformAnimation', 'testScaleAnimation', 'testColorTransition', 'testAnimationLoop', 'testAnimationDirection', 'testAnimationFillMode', 'testAnimationNonExistentElement', 'testAnimationInvalidElementId', 'testLongAnimationName', 'testUnicodeAnimationName', 'testEscapedAnimationName', 'testAnimationWithOptions', 'testAnimationSequence', 'testAnimationPerformance', 'testAnimationCleanup'] },
+            batch: { name: 'Batch Tests', instance: this.batchTests, tests: ['testBatchAppliesAllOperations', 'testBatchAbortsWhenNounMissing', 'testBatchRejectsInvalidSubMessages', 'testBatchPreservesOrder', 'testInheritedNamesAreNotVerbs'] },
+            selector: { name: 'Selector Tests', instance: this.selectorTests, tests: ['testAllMatchesSelector', 'testSingleMatchSelector', 'testRemoveAllMatches', 'testSelectorsDisabledByDefault', 'testInvalidSelectorIgnored', 'testIdMessagesUnaffected'] },
+            binding: { name: 'Binding Tests', instance: this.bindingTests, tests: ['testClickSendsFrame', 'testDelegatedClick', 'testChangeSendsValue', 'testSubmitPreventsDefault', 'testBindingsOptInAndDestroy'] },
+            queue: { name: 'Queue Tests', instance: this.queueTests, tests: ['testQueueReplaysInOrder', 'testQueueSizeLimit', 'testQueueTtlExpiry', 'testQueuePersistence', 'testQueueDisabledByDefault'] },
+            request: { name: 'Request Tests', instance: this.requestTests, tests: ['testReplyResolvesRequest', 'testDomReplyAppliedAndUntaggedIgnored', 'testRequestTimeout', 'testRequestRejectsOnDisconnect', 'testSettingsArgumentAndErrors'] },
+            server: { name: 'Server Companion Tests', instance: this.serverTests, tests: ['testParserParity', 'testMessageBuilders', 'testVerbRouting', 'testHelpersAndBroadcast'] },
+            history: { name: 'History Tests', instance: this.historyTests, tests: ['testUrlAndTitleVerbs', 'testBatchSwapAndPush', 'testCrossOriginUrlIgnored', 'testPopstateSendsNavigation'] },
+            morph: { name: 'Morph Tests', instance: this.morphTests, tests: ['testMorphPreservesFormState', 'testMorphKeyedReorder', 'testMorphSyncsAttributesAndText', 'testUpdateMorphOption'] },
+            sanitize: { name: 'Sanitize Tests', instance: this.sanitizeTests, tests: ['testStripsScriptsHandlersAndUrls', 'testAllContentVerbsSanitized', 'testCustomAllowLists', 'testCustomSanitizerFunction', 'testSetAttrAndDefaults'] },
+            'trusted-types': { name: 'Trusted Types Tests', instance: this.trustedTypesTests, tests: ['testNamedPolicyWrapsSinks', 'testCreateHtmlCallback', 'testPolicyObjectAndFallback', 'testSharedPolicyName'] },
+            policy: { name: 'Policy Tests', instance: this.policyTests, tests: ['testVerbAllowAndDenyLists', 'testSubjectRules', 'testNounAndFunctionRules', 'testBatchRefusedAtomically'] },
+            signature: { name: 'Signature Tests', instance: this.signatureTests, tests: ['testVerifiesSignedFrames', 'testServerSignsFrames', 'testFramesStayOrdered', 'testDisabledByDefault'] },
+            'security-events': { name: 'Security Event Tests', instance: this.securityEventTests, tests: ['testEventCodes', 'testPayloadTruncation', 'testBatchedReporting'] },
+            'rate-limit': { name: 'Rate Limit Tests', instance: this.rateLimitTests, tests: ['testGlobalLimitDrops', 'testPerVerbLimits', 'testCoalesceAppliesLatest', 'testCloseAfterViolations', 'testPrototypeVerbs', 'testBatchSubMessages'] },
+            'reconnect-policy': { name: 'Reconnect Policy Tests', instance: this.reconnectPolicyTests, tests: ['testCappedBackoffAndEvents', 'testJitterBounds', 'testCustomPolicyAndGaveUp', 'testOnlineAndVisibilityResume'] },
+            heartbeat: { name: 'Heartbeat Tests', instance: this.heartbeatTests, tests: ['testPingAndLatency', 'testTimeoutClosesAndReconnects', 'testTrafficKeepsAliveAndDefaults'] },
+            resume: { name: 'Session Resumption Tests', instance: this.resumeTests, tests: ['testReplaysMissedFrames', 'testSkipsDuplicates', 'testResyncBeyondBuffer', 'testResumesFromInitialPosition', 'testDisabledByDefault'] },
+            state: { name: 'Connection State Tests', instance: this.stateTests, tests: ['testLifecycleTransitions', 'testDisconnectStopsReconnecting', 'testOnOffSubscribers', 'testHtmlClasses'] },
+            shared: { name: 'Shared Connection Tests', instance: this.sharedConnectionTests, tests: ['testLeaderFansOutFrames', 'testFollowerSendsThroughLeader', 'testFollowersMuteReplies', 'testNextTabTakesOver', 'testFallbackWithoutChannel'] },
+            topics: { name: 'Topic Subscription Tests', instance: this.topicTests, tests: ['testControlFramesAndResubscribe', 'testRoutingHandlersAndScopes', 'testScopedBatches', 'testServerMembership'] },
+            middleware: { name: 'Middleware Tests', instance: this.middlewareTests, tests: ['testInboundTransformAndVeto', 'testDeferAndPostHooks', 'testOutboundAndRemoval', 'testBatchSubMessages'] },
+            plugins: { name: 'Plugin Tests', instance: this.pluginTests, tests: ['testNamespacedVerbs', 'testOptionsMiddlewareAndHooks', 'testNameCollisions'] },
+            'animation-registry': { name: 'Animation Registry Tests', instance: this.animationRegistryTests, tests: ['testNamedAnimationsAndState', 'testSeekRestartAndRemove'] },
             security: { name: 'Security Tests', instance: this.securityTests, tests: ['runAllTests'] }
         };
     }
@@ -198,6 +336,29 @@ class UnifiedTestRunner {
         console.log('  event         - Event tests only');
         console.log('  form          - Form tests only');
         console.log('  animation     - Animation tests only');
+        console.log('  batch         - Batch envelope tests only');
+        console.log('  selector      - CSS selector targeting tests only');
+        console.log('  binding       - Declarative binding tests only');
+        console.log('  queue         - Offline queue tests only');
+        console.log('  request       - Request/response correlation tests only');
+        console.log('  server        - Server companion module tests');
+        console.log('  history       - History and URL verb tests');
+        console.log('  morph         - DOM morphing tests');
+        console.log('  sanitize      - HTML sanitization tests');
+        console.log('  trusted-types - Trusted Types policy tests');
+        console.log('  policy        - Verb policy tests');
+        console.log('  signature     - Message signature tests');
+        console.log('  security-events- Security event stream tests');
+        console.log('  rate-limit    - Run inbound rate limiting tests');
+        console.log('  reconnect-policy- Run reconnect policy tests');
+        console.log('  heartbeat     - Run heartbeat and dead-connection tests');
+        console.log('  resume        - Run session resumption tests');
+        console.log('  state         - Run connection state machine tests');
+        console.log('  shared        - Run cross-tab shared connection tests');
+        console.log('  topics        - Run topic subscription tests');
+        console.log('  middleware    - Run middleware pipeline tests');
+        console.log('  plugins       - Plugin registration, namespaced verbs, options, middleware and hooks');
+        console.log('  animation-registry- Named per-element animation registry and state replies');
         console.log('  security      - Security tests only');
         console.log('');
         console.log('Examples:');